@@ -0,0 +1,20 @@
+class AbortException extends Error {
+  constructor(reason, timeout) {
+    super(
+      reason === "timeout"
+        ? `The validation timed out after ${timeout}ms`
+        : "The validation was aborted"
+    );
+    if (!(this instanceof AbortException)) {
+      Object.setPrototypeOf(this, AbortException.prototype);
+    }
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, AbortException);
+    }
+    this.name = "AbortException";
+    this.reason = reason;
+    this.timeout = timeout;
+  }
+}
+
+export default AbortException;
@@ -0,0 +1,38 @@
+class Cache {
+  constructor({ ttl, max } = {}) {
+    this.ttl = ttl;
+    this.max = max;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (this.ttl !== undefined && Date.now() - entry.time >= this.ttl) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, time: Date.now() });
+    if (this.max !== undefined && this.entries.size > this.max) {
+      // Maps iterate in insertion order, so the first key is the oldest one
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default Cache;
@@ -1,75 +1,510 @@
 import Rule from "./Rule";
 import Modifier from "./Modifier";
+import Transform from "./Transform";
+import Ref from "./Ref";
 import ValidationException from "./ValidationException";
+import AbortException from "./AbortException";
+import Cache from "./Cache";
 
 class Context {
-  constructor(chain = [], nextRuleModifiers = []) {
+  constructor(chain = [], nextRuleModifiers = [], options = {}) {
     this.chain = chain;
     this.nextRuleModifiers = nextRuleModifiers;
+    this.options = options;
   }
 
   _applyRule(ruleFn, name) {
     return (...args) => {
       this.chain.push(
-        new Rule(name, ruleFn.apply(this, args), args, this.nextRuleModifiers)
+        new Rule(
+          name,
+          buildRuleFn(ruleFn, args, this),
+          args,
+          this.nextRuleModifiers
+        )
       );
       this.nextRuleModifiers = [];
       return this;
     };
   }
 
-  _applyModifier(modifier, name) {
+  _applyModifier(modifier, name, args) {
     this.nextRuleModifiers.push(
-      new Modifier(name, modifier.simple, modifier.async)
+      new Modifier(name, modifier.simple, modifier.async, args)
     );
     return this;
   }
 
+  _applyTransform(transformFn, name) {
+    return (...args) => {
+      this.chain.push(new Transform(name, transformFn.apply(this, args), args));
+      return this;
+    };
+  }
+
+  _applyMessage(message) {
+    const entry = this.chain.pop();
+    if (!entry) {
+      throw new Error("A message can only be attached after a rule");
+    }
+    this.chain.push(entry._withMessage(message));
+    return this;
+  }
+
+  _applyCache(options) {
+    const entry = this.chain.pop();
+    if (!(entry instanceof Rule)) {
+      throw new Error("A cache can only be attached after a rule");
+    }
+    if (entry.args.some(arg => usesRefs(arg, []))) {
+      throw new Error(
+        "A cache cannot be attached to a rule depending on references"
+      );
+    }
+    this.chain.push(entry._withCache(new Cache(options)));
+    return this;
+  }
+
+  _applyOption(name) {
+    this.options = Object.assign({}, this.options, { [name]: true });
+    return this;
+  }
+
   _clone() {
-    return new Context(this.chain.slice(), this.nextRuleModifiers.slice());
+    return new Context(
+      this.chain.slice(),
+      this.nextRuleModifiers.slice(),
+      this.options
+    );
+  }
+
+  _isAbsent(value) {
+    return (
+      (value === undefined && this.options.optional) ||
+      (value === null && this.options.nullable)
+    );
   }
 
   test(value) {
-    return this.chain.every(rule => rule._test(value));
+    if (this._isAbsent(value)) {
+      return true;
+    }
+    let current = value;
+    return this.chain.every(entry => {
+      if (entry instanceof Transform) {
+        try {
+          current = entry._parse(current);
+          return true;
+        } catch (ex) {
+          return false;
+        }
+      }
+      return entry._test(current);
+    });
   }
 
   testAll(value) {
     const err = [];
-    this.chain.forEach(rule => {
-      try {
-        if (!rule._test(value)) err.push(new ValidationException(rule, value));
-      } catch (ex) {
-        err.push(new ValidationException(rule, value, ex));
+    if (this._isAbsent(value)) {
+      return err;
+    }
+    let current = value;
+    this.chain.every(entry => {
+      if (entry instanceof Transform) {
+        try {
+          current = entry._parse(current);
+          return true;
+        } catch (ex) {
+          err.push(ex);
+          return false;
+        }
+      }
+      if (!entry._test(current)) {
+        // The outcome follows test, the check only tells the nested cause
+        let cause = null;
+        try {
+          entry._check(current);
+        } catch (ex) {
+          cause = ex;
+        }
+        err.push(new ValidationException(entry, current, cause));
       }
+      return true;
     });
     return err;
   }
 
   check(value) {
-    this.chain.forEach(rule => {
+    this.parse(value);
+  }
+
+  parse(value) {
+    return this._parse(value);
+  }
+
+  _parse(value, scope) {
+    if (this._isAbsent(value)) {
+      return value;
+    }
+    return this.chain.reduce(
+      (current, entry) => entry._parse(current, scope),
+      value
+    );
+  }
+
+  testAsync(value, options = {}) {
+    return cancellable(options, cancellation =>
+      this._testAsync(value, { root: value, cancellation })
+    );
+  }
+
+  _testAsync(value, scope) {
+    if (this._isAbsent(value)) {
+      return Promise.resolve(value);
+    }
+    return new Promise((resolve, reject) => {
+      executeAsyncRules(value, this.chain.slice(), scope, resolve, reject);
+    });
+  }
+
+  testAllAsync(value, options = {}) {
+    if (this._isAbsent(value)) {
+      return Promise.resolve([]);
+    }
+    return cancellable(options, cancellation =>
+      executeAllAsyncRules(value, this.chain, options.parallel, {
+        root: value,
+        cancellation
+      })
+    ).then(result => result.errors);
+  }
+
+  validate(value) {
+    return validationResult(value, [this._collect(value)]);
+  }
+
+  _collect(value, scope) {
+    if (this._isAbsent(value)) {
+      return { value, errors: [] };
+    }
+    const errors = [];
+    let current = value;
+    this.chain.every(entry => {
       try {
-        if (!rule._check(value)) {
-          throw new ValidationException(rule, value, null);
-        }
-      } catch (cause) {
-        throw new ValidationException(rule, value, cause);
+        current = entry._parse(current, scope);
+        return true;
+      } catch (ex) {
+        errors.push(ex);
+        return !(entry instanceof Transform);
       }
     });
+    return { value: current, errors };
   }
 
-  testAsync(value) {
-    return new Promise((resolve, reject) => {
-      executeAsyncRules(value, this.chain.slice(), resolve, reject);
+  validateAsync(value, options = {}) {
+    return cancellable(options, cancellation =>
+      this._collectAsync(value, { root: value, cancellation }, options.parallel)
+    ).then(collected => validationResult(value, [collected]));
+  }
+
+  _collectAsync(value, scope, parallel) {
+    if (this._isAbsent(value)) {
+      return Promise.resolve({ value, errors: [] });
+    }
+    return executeAllAsyncRules(value, this.chain, parallel, scope);
+  }
+
+  validateAt(path, rootValue) {
+    const target = resolvePath(this, path, rootValue);
+    return pathResult(
+      target,
+      target.validations.map(validation =>
+        validation._collect(target.value, target.scope)
+      )
+    );
+  }
+
+  validateAtAsync(path, rootValue, options = {}) {
+    const target = resolvePath(this, path, rootValue);
+    return cancellable(options, cancellation => {
+      const scope = Object.assign({}, target.scope, { cancellation });
+      return Promise.all(
+        target.validations.map(validation =>
+          validation._collectAsync(target.value, scope, options.parallel)
+        )
+      );
+    }).then(collected => pathResult(target, collected));
+  }
+
+  clearCache(...values) {
+    cachesOf(this, []).forEach(cache => {
+      if (values.length === 0) {
+        cache.clear();
+      } else {
+        values.forEach(value => cache.delete(value));
+      }
     });
   }
+
+  toJSON() {
+    return {
+      $type: "validation",
+      chain: this.chain.map(entry => entry.toJSON()),
+      options: this.options
+    };
+  }
 }
 
-function executeAsyncRules(value, rules, resolve, reject) {
+function validationResult(value, collected) {
+  const exceptions = collected.reduce(
+    (errors, result) => errors.concat(result.errors),
+    []
+  );
+  return {
+    valid: exceptions.length === 0,
+    value: exceptions.length
+      ? value
+      : collected.reduce((parsed, result) => result.value, value),
+    errors: exceptions
+      .reduce((leaves, ex) => leaves.concat(ex.flatten()), [])
+      .map(ex => ({
+        rule: ex.rule.name,
+        args: ex.rule.args,
+        path: ex.path,
+        message: ex.message,
+        value: ex.value
+      }))
+  };
+}
+
+function resolvePath(context, path, root) {
+  // Segments made of digits are array indexes in both forms, since form
+  // libraries and route parameters give them as strings
+  const keys = (Array.isArray(path)
+    ? path
+    : String(path)
+        .split(".")
+        .filter(key => key !== "")
+  ).map(key => (/^\d+$/.test(key) ? Number(key) : key));
+  let validations = [context];
+  let value = root;
+  let parent;
+  keys.every(key => {
+    // Optional or nullable ancestors accept their absent value, so the
+    // validations nested in them do not apply
+    const present = validations.filter(
+      validation => !validation._isAbsent(value)
+    );
+    if (present.length === 0) {
+      validations = present;
+      value = undefined;
+      return false;
+    }
+    validations = present.reduce(
+      (nested, validation) =>
+        nested.concat(nestedValidationsAt(validation, key)),
+      []
+    );
+    if (validations.length === 0) {
+      throw new Error(`No validation found at the path ${keys.join(".")}`);
+    }
+    parent = value;
+    value = valueAt(value, key);
+    return true;
+  });
+  return { keys, validations, value, scope: { root, parent } };
+}
+
+function nestedValidationsAt(context, key) {
+  return context.chain.reduce((validations, entry) => {
+    const lookup = pathLookups[entry.name];
+    const nested =
+      entry instanceof Rule && !entry.modifiers.length && lookup
+        ? lookup(entry.args, key)
+        : undefined;
+    return nested ? validations.concat(nested) : validations;
+  }, []);
+}
+
+const pathLookups = {
+  schema: ([shape], key) =>
+    Object.prototype.hasOwnProperty.call(shape, key) ? shape[key] : undefined,
+  arrayOf: ([validation], key) => (isIndex(key) ? validation : undefined),
+  tuple: ([validations, { rest } = {}], key) => {
+    if (!isIndex(key)) {
+      return undefined;
+    }
+    return key < validations.length ? validations[key] : rest;
+  },
+  record: ([, valueValidation]) => valueValidation || undefined
+};
+
+function isIndex(key) {
+  return typeof key === "number" && key >= 0 && key % 1 === 0;
+}
+
+function valueAt(value, key) {
+  if (value instanceof Map) {
+    return value.get(key);
+  }
+  return value === undefined || value === null ? undefined : value[key];
+}
+
+function pathResult({ keys, value }, collected) {
+  const withPath = ex => {
+    const copy = keys
+      .slice()
+      .reverse()
+      .reduce((nested, key) => nested._prependPath(key), ex);
+    copy.target = keys[keys.length - 1];
+    return copy;
+  };
+  return validationResult(
+    value,
+    collected.map(result =>
+      Object.assign({}, result, { errors: result.errors.map(withPath) })
+    )
+  );
+}
+
+function cachesOf(context, visited) {
+  if (visited.indexOf(context) !== -1) {
+    return [];
+  }
+  visited.push(context);
+  return context.chain.reduce(
+    (caches, entry) =>
+      caches.concat(
+        entry.cache ? [entry.cache] : [],
+        ...entry.args.map(arg => nestedCaches(arg, visited))
+      ),
+    []
+  );
+}
+
+function usesRefs(arg, visited) {
+  if (arg instanceof Ref) {
+    return true;
+  }
+  if (arg instanceof Context) {
+    if (visited.indexOf(arg) !== -1) {
+      return false;
+    }
+    visited.push(arg);
+    return arg.chain.some(entry =>
+      entry.args.some(nested => usesRefs(nested, visited))
+    );
+  }
+  if (Array.isArray(arg)) {
+    return arg.some(item => usesRefs(item, visited));
+  }
+  if (arg && Object.getPrototypeOf(arg) === Object.prototype) {
+    return Object.keys(arg).some(key => usesRefs(arg[key], visited));
+  }
+  return false;
+}
+
+function nestedCaches(arg, visited) {
+  if (arg instanceof Context) {
+    return cachesOf(arg, visited);
+  }
+  if (Array.isArray(arg)) {
+    return [].concat(...arg.map(item => nestedCaches(item, visited)));
+  }
+  if (arg && Object.getPrototypeOf(arg) === Object.prototype) {
+    return [].concat(
+      ...Object.keys(arg).map(key => nestedCaches(arg[key], visited))
+    );
+  }
+  return [];
+}
+
+function buildRuleFn(ruleFn, args, context) {
+  if (!args.some(arg => arg instanceof Ref)) {
+    return ruleFn.apply(context, args);
+  }
+  const withScope = scope =>
+    ruleFn.apply(
+      context,
+      args.map(arg => (arg instanceof Ref ? arg._resolve(scope) : arg))
+    );
+  const fn = value => withScope()(value);
+  fn.withScope = withScope;
+  return fn;
+}
+
+// Cancelled validations are flagged in their scope, so pending rules stop even
+// where AbortController is missing and rules don't receive a signal
+function cancellable({ signal, timeout }, run) {
+  if (!signal && timeout === undefined) {
+    return run(undefined);
+  }
+  const controller =
+    typeof AbortController === "function" ? new AbortController() : undefined;
+  const cancellation = {
+    signal: controller ? controller.signal : signal,
+    aborted: false
+  };
+  return new Promise((resolve, reject) => {
+    let timer;
+    const onAbort = () => cancel(new AbortException("abort"));
+
+    function settle() {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+    }
+
+    function cancel(exception) {
+      settle();
+      cancellation.aborted = true;
+      if (controller) {
+        controller.abort();
+      }
+      reject(exception);
+    }
+
+    if (signal && signal.aborted) {
+      onAbort();
+      return;
+    }
+    if (signal) {
+      signal.addEventListener("abort", onAbort);
+    }
+    if (timeout !== undefined) {
+      timer = setTimeout(
+        () => cancel(new AbortException("timeout", timeout)),
+        timeout
+      );
+    }
+    run(cancellation).then(
+      result => {
+        settle();
+        resolve(result);
+      },
+      exception => {
+        settle();
+        reject(exception);
+      }
+    );
+  });
+}
+
+function isAborted(scope) {
+  return Boolean(scope && scope.cancellation && scope.cancellation.aborted);
+}
+
+function executeAsyncRules(value, rules, scope, resolve, reject) {
+  if (isAborted(scope)) {
+    // The validation was already rejected by its cancellation
+    return;
+  }
   if (rules.length) {
     const rule = rules.shift();
-    rule._testAsync(value).then(
-      () => {
-        executeAsyncRules(value, rules, resolve, reject);
+    rule._testAsync(value, scope).then(
+      result => {
+        executeAsyncRules(result, rules, scope, resolve, reject);
       },
       cause => {
         reject(new ValidationException(rule, value, cause));
@@ -80,4 +515,38 @@ function executeAsyncRules(value, rules, resolve, reject) {
   }
 }
 
+function executeAllAsyncRules(value, entries, parallel, scope) {
+  const errors = [];
+  const pending = [];
+
+  function step(current, index) {
+    if (index === entries.length || isAborted(scope)) {
+      return Promise.all(pending).then(() => current);
+    }
+    const entry = entries[index];
+    const result = entry._testAsync(current, scope).then(
+      output => ({ valid: true, value: output }),
+      cause => {
+        errors[index] = new ValidationException(entry, current, cause);
+        return { valid: false, value: current };
+      }
+    );
+    if (parallel && !(entry instanceof Transform)) {
+      pending.push(result);
+      return step(current, index + 1);
+    }
+    return result.then(({ valid, value }) => {
+      if (!valid && entry instanceof Transform) {
+        return Promise.all(pending).then(() => current);
+      }
+      return step(value, index + 1);
+    });
+  }
+
+  return step(value, 0).then(result => ({
+    value: result,
+    errors: errors.filter(Boolean)
+  }));
+}
+
 export default Context;
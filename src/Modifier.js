@@ -1,8 +1,9 @@
 class Modifier {
-  constructor(name, perform, performAsync) {
+  constructor(name, perform, performAsync, args = []) {
     this.name = name;
     this.perform = perform;
     this.performAsync = performAsync;
+    this.args = args;
   }
 }
 
@@ -0,0 +1,27 @@
+class Ref {
+  constructor(path) {
+    this.path = path;
+  }
+
+  _resolve(scope = {}) {
+    const fromRoot = this.path.charAt(0) === "/";
+    const keys = (fromRoot ? this.path.slice(1) : this.path)
+      .split(".")
+      .filter(key => key !== "");
+    return keys.reduce(
+      (value, key) =>
+        value === undefined || value === null ? undefined : value[key],
+      fromRoot ? scope.root : scope.parent
+    );
+  }
+
+  toJSON() {
+    return { $type: "ref", path: this.path };
+  }
+
+  toString() {
+    return this.path;
+  }
+}
+
+export default Ref;
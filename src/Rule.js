@@ -1,14 +1,41 @@
+import ValidationException from "./ValidationException";
+import { serializeEntry } from "./serialization";
+
 class Rule {
-  constructor(name, fn, args, modifiers) {
+  constructor(name, fn, args, modifiers, message, cache) {
     this.name = name;
     this.fn = fn;
     this.args = args;
     this.modifiers = modifiers;
+    this.message = message;
+    this.cache = cache;
+  }
+
+  _withMessage(message) {
+    return new Rule(
+      this.name,
+      this.fn,
+      this.args,
+      this.modifiers,
+      message,
+      this.cache
+    );
+  }
+
+  _withCache(cache) {
+    return new Rule(
+      this.name,
+      this.fn,
+      this.args,
+      this.modifiers,
+      this.message,
+      cache
+    );
   }
 
   _test(value) {
     try {
-      const result = testAux(this.modifiers.slice(), this.fn)(value);
+      const result = testAux(this.modifiers.slice(), this._simpleFn())(value);
       if (typeof result !== "boolean") {
         throw result;
       }
@@ -18,21 +45,125 @@ class Rule {
     }
   }
 
-  _check(value) {
-    return testAux(this.modifiers.slice(), this.fn)(value);
+  _check(value, scope) {
+    return testAux(this.modifiers.slice(), this._simpleFn(scope))(value);
   }
 
-  _testAsync(value) {
-    return new Promise((resolve, reject) => {
-      testAsyncAux(this.modifiers.slice(), this.fn)(value).then(valid => {
-        if (valid) {
-          resolve(value);
-        } else {
-          reject(this);
+  _parse(value, scope) {
+    let valid;
+    try {
+      if (this._parses()) {
+        return this.fn.parse(value, scope);
+      }
+      valid = this._check(value, scope);
+    } catch (cause) {
+      throw new ValidationException(this, value, cause);
+    }
+    if (!valid) {
+      throw new ValidationException(this, value, null);
+    }
+    return value;
+  }
+
+  _testAsync(value, scope) {
+    if (!this.cache) {
+      return this._runAsync(value, scope);
+    }
+    const cached = this.cache.get(value);
+    if (cached) {
+      // A shared run cancelled by another validation is retried with this one
+      return cached.result.catch(reason => {
+        if (
+          isAborted(cached.cancellation) &&
+          !isAborted(cancellationOf(scope))
+        ) {
+          return this._testAsync(value, scope);
         }
+        throw reason;
       });
+    }
+    const cancellation = cancellationOf(scope);
+    const entry = { result: this._runAsync(value, scope), cancellation };
+    this.cache.set(value, entry);
+    entry.result.catch(reason => {
+      // Only validation failures of runs that were not cancelled are kept,
+      // errors are retried on the next run
+      const failed = reason === this || Array.isArray(reason);
+      if (
+        (!failed || isAborted(cancellation)) &&
+        this.cache.get(value) === entry
+      ) {
+        this.cache.delete(value);
+      }
     });
+    return entry.result;
   }
+
+  _runAsync(value, scope) {
+    if (this._parses()) {
+      return this.fn.parseAsync
+        ? this.fn.parseAsync(value, scope)
+        : new Promise(resolve => resolve(this.fn.parse(value, scope)));
+    }
+    return new Promise((resolve, reject) => {
+      testAsyncAux(this.modifiers.slice(), this._asyncFn(scope))(value).then(
+        valid => {
+          if (valid) {
+            resolve(value);
+          } else {
+            reject(this);
+          }
+        },
+        reject
+      );
+    });
+  }
+
+  _parses() {
+    return typeof this.fn.parse === "function" && !this.modifiers.length;
+  }
+
+  _fnFor(scope) {
+    return typeof this.fn.withScope === "function"
+      ? this.fn.withScope(scope)
+      : this.fn;
+  }
+
+  _simpleFn(scope) {
+    if (!this.modifiers.length || typeof this.fn.parse !== "function") {
+      return this._fnFor(scope);
+    }
+    return value => {
+      try {
+        return this.fn(value);
+      } catch (ex) {
+        return false;
+      }
+    };
+  }
+
+  _asyncFn(scope) {
+    if (!this.modifiers.length || typeof this.fn.parseAsync !== "function") {
+      const fn = this._fnFor(scope);
+      const cancellation = cancellationOf(scope);
+      const options = { signal: cancellation && cancellation.signal };
+      return value => fn(value, options);
+    }
+    return value =>
+      this.fn.parseAsync(value, scope).then(() => true, () => false);
+  }
+
+  toJSON() {
+    return serializeEntry(this);
+  }
+}
+
+function cancellationOf(scope) {
+  return scope && scope.cancellation;
+}
+
+function isAborted(cancellation) {
+  return Boolean(cancellation && cancellation.aborted);
 }
 
 function testAux(modifiers, fn) {
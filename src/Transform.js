@@ -0,0 +1,34 @@
+import ValidationException from "./ValidationException";
+import { serializeEntry } from "./serialization";
+
+class Transform {
+  constructor(name, fn, args, message) {
+    this.name = name;
+    this.fn = fn;
+    this.args = args;
+    this.modifiers = [];
+    this.message = message;
+  }
+
+  _withMessage(message) {
+    return new Transform(this.name, this.fn, this.args, message);
+  }
+
+  _parse(value) {
+    try {
+      return this.fn(value);
+    } catch (cause) {
+      throw new ValidationException(this, value, cause);
+    }
+  }
+
+  _testAsync(value) {
+    return new Promise(resolve => resolve(this.fn(value)));
+  }
+
+  toJSON() {
+    return serializeEntry(this);
+  }
+}
+
+export default Transform;
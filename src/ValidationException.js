@@ -1,6 +1,12 @@
+import { formatMessage } from "./messages";
+import Ref from "./Ref";
+
 class ValidationException extends Error {
-  constructor(rule, value, cause, target, ...remaining) {
-    super(remaining);
+  constructor(rule, value, cause, target) {
+    super(formatMessage(rule, value));
+    if (!(this instanceof ValidationException)) {
+      Object.setPrototypeOf(this, ValidationException.prototype);
+    }
     if (Error.captureStackTrace) {
       Error.captureStackTrace(this, ValidationException);
     }
@@ -8,7 +14,78 @@ class ValidationException extends Error {
     this.value = value;
     this.cause = cause;
     this.target = target;
+    this.path = [];
+  }
+
+  flatten() {
+    const nested = nestedExceptions(this.cause);
+    if (nested.length === 0) {
+      return [this];
+    }
+    return nested.reduce((list, ex) => list.concat(ex.flatten()), []);
+  }
+
+  toJSON() {
+    const json = {
+      rule: this.rule.name,
+      modifiers: this.rule.modifiers.map(modifier => modifier.name),
+      args: this.rule.args.map(jsonArg),
+      path: this.path,
+      message: this.message,
+      value: this.value
+    };
+    const nested = nestedExceptions(this.cause);
+    if (nested.length > 0) {
+      json.causes = nested.map(ex => ex.toJSON());
+    }
+    return json;
+  }
+
+  // Exceptions can be shared by cached results, so paths are set on copies
+  _prependPath(key) {
+    const copy = Object.create(Object.getPrototypeOf(this));
+    Object.getOwnPropertyNames(this).forEach(name =>
+      Object.defineProperty(
+        copy,
+        name,
+        Object.getOwnPropertyDescriptor(this, name)
+      )
+    );
+    copy.path = [key].concat(this.path);
+    copy.cause = Array.isArray(this.cause)
+      ? this.cause.map(cause => prependPath(cause, key))
+      : prependPath(this.cause, key);
+    return copy;
   }
 }
 
+export function errorMessages(errors) {
+  return [].concat(errors).reduce((messages, error) => {
+    const leaves =
+      error instanceof ValidationException ? error.flatten() : [error];
+    leaves.forEach(({ path, message }) => {
+      const key = path.join(".");
+      messages[key] = (messages[key] || []).concat(message);
+    });
+    return messages;
+  }, {});
+}
+
+function jsonArg(arg) {
+  if (arg instanceof RegExp || arg instanceof Ref) {
+    return String(arg);
+  }
+  // Nested validations and other objects are left to the causes
+  return arg !== null && typeof arg === "object" ? null : arg;
+}
+
+function prependPath(cause, key) {
+  return cause instanceof ValidationException ? cause._prependPath(key) : cause;
+}
+
+function nestedExceptions(cause) {
+  const causes = Array.isArray(cause) ? cause : [cause];
+  return causes.filter(it => it instanceof ValidationException);
+}
+
 export default ValidationException;
@@ -0,0 +1,581 @@
+// Conversion to JSON Schema (draft-07) works on the chain of a validation:
+// every rule, transform and modifier is looked up by name below and turned
+// into a schema fragment. Entries without a counterpart, including custom
+// rules and rules taking references, are reported as unsupported.
+//
+// Conversion from JSON Schema goes the other way around and builds the chain
+// of a validation from the keywords of the document. Keywords that only apply
+// to some types are wrapped in a `when` rule unless the type is known.
+
+import Transform from "./Transform";
+import Ref from "./Ref";
+
+const draft = "http://json-schema.org/draft-07/schema#";
+
+export function toJSONSchema(validation, { strict = true } = {}) {
+  const unsupported = [];
+  const schema = Object.assign(
+    { $schema: draft },
+    convertValidation(validation, "#", unsupported)
+  );
+  if (strict && unsupported.length > 0) {
+    const error = new Error(
+      `Rules without a JSON Schema equivalent: ${unsupported
+        .map(({ rule, location }) => `${rule} at ${location}`)
+        .join(", ")}`
+    );
+    error.unsupported = unsupported;
+    throw error;
+  }
+  return schema;
+}
+
+function convertValidation(validation, location, unsupported) {
+  const schema = {};
+  // Modifiers also split strings into characters, they only map to array
+  // keywords when the chain only accepts arrays
+  const array = validation.chain.some(
+    entry => !entry.modifiers.length && arrayRules.indexOf(entry.name) !== -1
+  );
+  validation.chain.forEach(entry => {
+    const fragment = convertEntry(entry, location, unsupported, array);
+    if (fragment) {
+      merge(schema, fragment);
+    } else {
+      unsupported.push({ rule: entry.name, location });
+    }
+  });
+  if (validation.options.nullable) {
+    return { anyOf: [{ type: "null" }, schema] };
+  }
+  return schema;
+}
+
+function convertEntry(entry, location, unsupported, array) {
+  const converters = entry instanceof Transform ? transforms : rules;
+  if (
+    !hasOwn(converters, entry.name) ||
+    entry.args.some(arg => arg instanceof Ref)
+  ) {
+    return null;
+  }
+  const convert = (validation, key) =>
+    convertValidation(validation, `${location}/${key}`, unsupported);
+  return entry.modifiers.reduceRight(
+    (fragment, modifier) =>
+      fragment && hasOwn(modifiers, modifier.name)
+        ? modifiers[modifier.name](fragment, array)
+        : null,
+    converters[entry.name](entry.args, convert)
+  );
+}
+
+function merge(schema, fragment) {
+  Object.keys(fragment).forEach(key => {
+    if (!(key in schema)) {
+      schema[key] = fragment[key];
+    } else if (JSON.stringify(schema[key]) !== JSON.stringify(fragment[key])) {
+      schema.allOf = (schema.allOf || []).concat({ [key]: fragment[key] });
+    }
+  });
+}
+
+const arrayRules = ["array", "arrayOf", "tuple"];
+
+const modifiers = {
+  not: fragment => ({ not: fragment }),
+  some: (fragment, array) => (array ? { contains: fragment } : null),
+  every: (fragment, array) => (array ? { items: fragment } : null)
+};
+
+const transforms = {
+  default: ([value]) => ({ default: value })
+};
+
+const rules = {
+  pattern: ([pattern]) =>
+    pattern.flags ? null : { type: "string", pattern: pattern.source },
+
+  exact: ([expected]) => ({ const: expected }),
+
+  string: () => ({ type: "string" }),
+
+  number: () => ({ type: "number" }),
+
+  boolean: () => ({ type: "boolean" }),
+
+  null: () => ({ type: "null" }),
+
+  array: () => ({ type: "array" }),
+
+  object: () => ({ type: "object" }),
+
+  lowercase: () => ({ pattern: "^([a-z]+\\s*)+$" }),
+
+  uppercase: () => ({ pattern: "^([A-Z]+\\s*)+$" }),
+
+  vowel: () => ({ pattern: "^[aeiouAEIOU]+$" }),
+
+  consonant: () => ({ pattern: "^(?=[^aeiouAEIOU])([a-zA-Z]+)$" }),
+
+  empty: () => lengthFragment(0, 0),
+
+  length: ([min, max]) => lengthFragment(min || 0, max || min || 0),
+
+  minLength: ([min]) => lengthFragment(min || 0),
+
+  maxLength: ([max]) => lengthFragment(undefined, max || 0),
+
+  negative: () => ({ maximum: -1 }),
+
+  positive: () => ({ minimum: 0 }),
+
+  between: ([min, max]) => ({ minimum: min, maximum: max || min }),
+
+  range: ([min, max]) => ({ minimum: min, maximum: max || min }),
+
+  lessThan: ([bound]) => ({ maximum: bound - 1 }),
+
+  lessThanOrEqual: ([bound]) => ({ maximum: bound }),
+
+  greaterThan: ([bound]) => ({ minimum: bound + 1 }),
+
+  greaterThanOrEqual: ([bound]) => ({ minimum: bound }),
+
+  even: () => ({ multipleOf: 2 }),
+
+  odd: () => ({ not: { multipleOf: 2 } }),
+
+  includes: ([item]) => ({
+    contains: { const: item },
+    pattern: String(item).replace(/[.*+?^${}()|[\]\\/-]/g, "\\$&")
+  }),
+
+  integer: () => ({ type: "integer" }),
+
+  schema: ([shape, { unknown } = {}], convert) => {
+    const keys = Object.keys(shape);
+    const fragment = {
+      type: "object",
+      properties: keys.reduce(
+        (properties, key) =>
+          defineValue(
+            properties,
+            key,
+            convert(shape[key], `properties/${key}`)
+          ),
+        {}
+      )
+    };
+    const required = keys.filter(key => !shape[key].options.optional);
+    if (required.length > 0) {
+      fragment.required = required;
+    }
+    if (unknown === "reject") {
+      fragment.additionalProperties = false;
+    }
+    return fragment;
+  },
+
+  arrayOf: ([validation, { min, max } = {}], convert) =>
+    Object.assign(
+      { type: "array", items: convert(validation, "items") },
+      min === undefined ? {} : { minItems: min },
+      max === undefined ? {} : { maxItems: max }
+    ),
+
+  tuple: ([validations, { rest } = {}], convert) =>
+    Object.assign(
+      {
+        type: "array",
+        items: validations.map((validation, index) =>
+          convert(validation, `items/${index}`)
+        ),
+        minItems: validations.length,
+        additionalItems: rest ? convert(rest, "additionalItems") : false
+      },
+      rest ? {} : { maxItems: validations.length }
+    ),
+
+  record: ([keyValidation, valueValidation], convert) =>
+    Object.assign(
+      { type: "object" },
+      keyValidation
+        ? { propertyNames: convert(keyValidation, "propertyNames") }
+        : {},
+      valueValidation
+        ? {
+            additionalProperties: convert(
+              valueValidation,
+              "additionalProperties"
+            )
+          }
+        : {}
+    ),
+
+  when: ([condition, then, otherwise], convert) =>
+    typeof condition === "function"
+      ? null
+      : Object.assign(
+          { if: convert(condition, "if") },
+          then ? { then: convert(then, "then") } : {},
+          otherwise ? { else: convert(otherwise, "else") } : {}
+        ),
+
+  oneOf: (validations, convert) => ({
+    oneOf: validations.map((validation, index) =>
+      convert(validation, `oneOf/${index}`)
+    )
+  }),
+
+  anyOf: (validations, convert) => ({
+    anyOf: validations.map((validation, index) =>
+      convert(validation, `anyOf/${index}`)
+    )
+  }),
+
+  allOf: (validations, convert) => ({
+    allOf: validations.map((validation, index) =>
+      convert(validation, `allOf/${index}`)
+    )
+  })
+};
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Keys like "__proto__" must become own properties instead of going through
+// the setters of Object.prototype
+function defineValue(object, key, value) {
+  Object.defineProperty(object, key, {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true
+  });
+  return object;
+}
+
+function lengthFragment(min, max) {
+  const fragment = {};
+  if (min !== undefined) {
+    fragment.minLength = min;
+    fragment.minItems = min;
+  }
+  if (max !== undefined) {
+    fragment.maxLength = max;
+    fragment.maxItems = max;
+  }
+  return fragment;
+}
+
+export function fromJSONSchema(document, v8n) {
+  const unsupported = [];
+  const references = {};
+
+  function resolve(pointer) {
+    if (!references[pointer]) {
+      // The validation is registered before it is converted so recursive
+      // references can point at it, and its chain is filled afterwards.
+      const validation = (references[pointer] = v8n());
+      const converted = convert(lookup(document, pointer), pointer);
+      Array.prototype.push.apply(validation.chain, converted.chain);
+      Object.assign(validation.options, converted.options);
+    }
+    return references[pointer];
+  }
+
+  function convert(schema, location) {
+    if (schema === true) {
+      return v8n();
+    }
+    if (schema === false) {
+      return v8n().anyOf();
+    }
+    const context = {
+      v8n,
+      convert: (subschema, key) => convert(subschema, `${location}/${key}`),
+      report: keyword => unsupported.push({ keyword, location })
+    };
+    Object.keys(schema)
+      .filter(keyword => supportedKeywords.indexOf(keyword) === -1)
+      .forEach(context.report);
+
+    let types = schema.type === undefined ? [] : [].concat(schema.type);
+    let validation = v8n();
+    if (types.length > 1 && types.indexOf("null") !== -1) {
+      types = types.filter(type => type !== "null");
+      validation = validation.nullable();
+    }
+    if (types.some(type => !hasOwn(typeValidations, type))) {
+      context.report("type");
+      types = types.filter(type => hasOwn(typeValidations, type));
+    }
+    if (types.length === 1) {
+      validation = typeValidations[types[0]](validation);
+    } else if (types.length > 1) {
+      validation = validation.anyOf(
+        ...types.map(type => typeValidations[type](v8n()))
+      );
+    }
+
+    if (hasOwn(schema, "const")) {
+      validation = validateValues(validation, [schema.const], context);
+    }
+    if (hasOwn(schema, "enum")) {
+      validation = validateValues(validation, schema.enum, context);
+    }
+
+    domains.forEach(domain => {
+      const applies = domain.keywords.some(keyword => hasOwn(schema, keyword));
+      const matches = types.filter(type => domain.types.indexOf(type) !== -1);
+      if (!applies || (types.length > 0 && matches.length === 0)) {
+        return;
+      }
+      if (types.length === 1) {
+        validation = domain.apply(schema, validation, context);
+      } else {
+        validation = validation.when(
+          domain.check(v8n()),
+          domain.apply(schema, v8n(), context)
+        );
+      }
+    });
+
+    ["allOf", "anyOf", "oneOf"]
+      .filter(keyword => schema[keyword])
+      .forEach(keyword => {
+        validation = validation[keyword](
+          ...schema[keyword].map((subschema, index) =>
+            context.convert(subschema, `${keyword}/${index}`)
+          )
+        );
+      });
+    if (hasOwn(schema, "not")) {
+      validation = validation.not.allOf(context.convert(schema.not, "not"));
+    }
+    if (hasOwn(schema, "if")) {
+      validation = validation.when(
+        context.convert(schema.if, "if"),
+        hasOwn(schema, "then") ? context.convert(schema.then, "then") : null,
+        hasOwn(schema, "else") ? context.convert(schema.else, "else") : null
+      );
+    }
+    if (hasOwn(schema, "$ref")) {
+      validation = validation.allOf(resolve(schema.$ref));
+    }
+    return validation;
+  }
+
+  const validation = resolve("#");
+  if (unsupported.length > 0) {
+    const error = new Error(
+      `JSON Schema keywords without a v8n equivalent: ${unsupported
+        .map(({ keyword, location }) => `${keyword} at ${location}`)
+        .join(", ")}`
+    );
+    error.unsupported = unsupported;
+    throw error;
+  }
+  return validation;
+}
+
+const annotationKeywords = [
+  "$schema",
+  "$id",
+  "$comment",
+  "title",
+  "description",
+  "default",
+  "examples",
+  "readOnly",
+  "writeOnly",
+  "definitions",
+  "$defs"
+];
+
+const typeValidations = {
+  string: validation => validation.string(),
+  number: validation => validation.number(),
+  integer: validation => validation.integer(),
+  boolean: validation => validation.boolean(),
+  null: validation => validation.null(),
+  array: validation => validation.array(),
+  object: validation =>
+    validation
+      .object()
+      .not.null()
+      .not.array()
+};
+
+function validateValues(validation, values, { v8n, report }) {
+  if (values.some(value => value !== null && typeof value === "object")) {
+    report(values.length === 1 ? "const" : "enum");
+    return validation;
+  }
+  return values.length === 1
+    ? validation.exact(values[0])
+    : validation.anyOf(...values.map(value => v8n().exact(value)));
+}
+
+const domains = [
+  {
+    types: ["string"],
+    keywords: ["minLength", "maxLength", "pattern"],
+    check: validation => validation.string(),
+    apply(schema, validation) {
+      if (hasOwn(schema, "minLength")) {
+        validation = validation.minLength(schema.minLength);
+      }
+      if (hasOwn(schema, "maxLength")) {
+        validation = validation.maxLength(schema.maxLength);
+      }
+      if (hasOwn(schema, "pattern")) {
+        validation = validation.pattern(new RegExp(schema.pattern));
+      }
+      return validation;
+    }
+  },
+  {
+    types: ["number", "integer"],
+    keywords: ["minimum", "maximum", "exclusiveMinimum", "exclusiveMaximum"],
+    check: validation => validation.number(),
+    apply(schema, validation) {
+      if (hasOwn(schema, "minimum")) {
+        validation = validation.greaterThanOrEqual(schema.minimum);
+      }
+      if (hasOwn(schema, "maximum")) {
+        validation = validation.lessThanOrEqual(schema.maximum);
+      }
+      if (hasOwn(schema, "exclusiveMinimum")) {
+        validation = validation.not.lessThanOrEqual(schema.exclusiveMinimum);
+      }
+      if (hasOwn(schema, "exclusiveMaximum")) {
+        validation = validation.not.greaterThanOrEqual(schema.exclusiveMaximum);
+      }
+      return validation;
+    }
+  },
+  {
+    types: ["array"],
+    keywords: ["items", "minItems", "maxItems"],
+    check: validation => validation.array(),
+    apply(schema, validation, { convert }) {
+      if (Array.isArray(schema.items)) {
+        validation = validation.tuple(
+          schema.items.map((subschema, index) =>
+            convert(subschema, `items/${index}`)
+          ),
+          {
+            rest:
+              schema.additionalItems === false
+                ? undefined
+                : convert(
+                    hasOwn(schema, "additionalItems")
+                      ? schema.additionalItems
+                      : true,
+                    "additionalItems"
+                  )
+          }
+        );
+      } else if (hasOwn(schema, "items")) {
+        validation = validation.arrayOf(convert(schema.items, "items"));
+      }
+      if (hasOwn(schema, "minItems")) {
+        validation = validation.minLength(schema.minItems);
+      }
+      if (hasOwn(schema, "maxItems")) {
+        validation = validation.maxLength(schema.maxItems);
+      }
+      return validation;
+    }
+  },
+  {
+    types: ["object"],
+    keywords: [
+      "properties",
+      "required",
+      "additionalProperties",
+      "propertyNames"
+    ],
+    check: validation => typeValidations.object(validation),
+    apply(schema, validation, { v8n, convert, report }) {
+      const properties = schema.properties || {};
+      const required = schema.required || [];
+      const keys = Object.keys(properties).concat(
+        required.filter(key => !hasOwn(properties, key))
+      );
+      const additional = schema.additionalProperties;
+      const restricted = additional !== undefined && additional !== true;
+      if (keys.length > 0) {
+        const shape = keys.reduce((shape, key) => {
+          const property = hasOwn(properties, key)
+            ? convert(properties[key], `properties/${key}`)
+            : v8n().not.undefined();
+          return defineValue(
+            shape,
+            key,
+            required.indexOf(key) === -1 ? property.optional() : property
+          );
+        }, {});
+        validation = validation.schema(shape, {
+          unknown: additional === false ? "reject" : "allow"
+        });
+        if (restricted && additional !== false) {
+          report("additionalProperties");
+        }
+      }
+      const keyValidation = hasOwn(schema, "propertyNames")
+        ? convert(schema.propertyNames, "propertyNames")
+        : null;
+      const valueValidation =
+        restricted && keys.length === 0
+          ? convert(additional, "additionalProperties")
+          : null;
+      if (keyValidation || valueValidation) {
+        validation = validation.record(keyValidation, valueValidation);
+      }
+      return validation;
+    }
+  }
+];
+
+const supportedKeywords = annotationKeywords.concat(
+  [
+    "type",
+    "const",
+    "enum",
+    "allOf",
+    "anyOf",
+    "oneOf",
+    "not",
+    "if",
+    "then",
+    "else",
+    "$ref",
+    "additionalItems"
+  ],
+  ...domains.map(domain => domain.keywords)
+);
+
+function lookup(document, pointer) {
+  if (pointer.charAt(0) !== "#") {
+    throw new Error(
+      `Only references within the document are supported: ${pointer}`
+    );
+  }
+  return pointer
+    .slice(1)
+    .split("/")
+    .slice(1)
+    .reduce((node, token) => {
+      const key = decodeURIComponent(token)
+        .replace(/~1/g, "/")
+        .replace(/~0/g, "~");
+      if (node === null || typeof node !== "object" || !hasOwn(node, key)) {
+        throw new Error(`Unable to resolve the reference ${pointer}`);
+      }
+      return node[key];
+    }, document);
+}
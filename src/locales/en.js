@@ -0,0 +1,62 @@
+export default {
+  rules: {
+    pattern: "must match the pattern {0}",
+    equal: "must be equal to {0}",
+    exact: "must be exactly {0}",
+    string: "must be a string",
+    number: "must be a number",
+    boolean: "must be a boolean",
+    undefined: "must be undefined",
+    null: "must be null",
+    array: "must be an array",
+    object: "must be an object",
+    lowercase: "must be lowercase",
+    uppercase: "must be uppercase",
+    vowel: "must contain only vowels",
+    consonant: "must contain only consonants",
+    first: "must start with {0}",
+    last: "must end with {0}",
+    empty: "must be empty",
+    length: ({ args }) =>
+      args.length > 1
+        ? "must have a length between {0} and {1}"
+        : "must have a length of {0}",
+    minLength: "must have a length of at least {0}",
+    maxLength: "must have a length of at most {0}",
+    negative: "must be negative",
+    positive: "must be positive",
+    between: "must be between {0} and {1}",
+    range: "must be between {0} and {1}",
+    lessThan: "must be less than {0}",
+    lessThanOrEqual: "must be less than or equal to {0}",
+    greaterThan: "must be greater than {0}",
+    greaterThanOrEqual: "must be greater than or equal to {0}",
+    even: "must be even",
+    odd: "must be odd",
+    includes: "must include {0}",
+    integer: "must be an integer",
+    schema: "must match the schema",
+    arrayOf: "must be an array of valid items",
+    tuple: "must be a tuple of valid items",
+    record: "must be a record of valid keys and values",
+    when: "must match the validation for its condition",
+    oneOf: "must match exactly one of the alternatives",
+    anyOf: "must match at least one of the alternatives",
+    allOf: "must match all of the alternatives",
+    transform: "could not be transformed",
+    unknownKey: "is not allowed"
+  },
+
+  modifiers: {
+    not: ({ message }) =>
+      /^must /.test(message)
+        ? message.replace(/^must /, "must not ")
+        : "must not satisfy: {message}",
+    some: "at least one item {message}",
+    every: "every item {message}"
+  },
+
+  default: "must pass the {rule} rule",
+
+  defaultModifier: "{modifier}: {message}"
+};
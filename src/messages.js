@@ -0,0 +1,172 @@
+import en from "./locales/en";
+
+const defaultLocale = "en";
+
+const locales = {};
+
+let currentLocale = defaultLocale;
+
+registerLocale(defaultLocale, en);
+
+export function registerLocale(locale, catalog, options = {}) {
+  const existing = locales[locale] || { rules: {}, modifiers: {} };
+  locales[locale] = {
+    rules: Object.assign({}, existing.rules, catalog.rules),
+    modifiers: Object.assign({}, existing.modifiers, catalog.modifiers),
+    default: catalog.default || existing.default,
+    defaultModifier: catalog.defaultModifier || existing.defaultModifier,
+    fallback: options.fallback || existing.fallback
+  };
+}
+
+export function setLocale(locale) {
+  if (!(locale in locales)) {
+    throw new Error(`The locale "${locale}" is not registered`);
+  }
+  currentLocale = locale;
+}
+
+export function getLocale() {
+  return currentLocale;
+}
+
+export function formatMessage(rule, value, locale = currentLocale) {
+  if (typeof rule.message === "function") {
+    return String(rule.message(value, rule));
+  }
+  if (rule.message !== undefined) {
+    return interpolate(String(rule.message), {
+      rule: rule.name,
+      args: rule.args || [],
+      value
+    });
+  }
+
+  const chain = fallbackChain(locale);
+  const modifiers = rule.modifiers || [];
+  const params = { rule: rule.name, args: rule.args || [], value };
+
+  const qualified = modifiers
+    .map(modifier => modifier.name)
+    .concat(rule.name)
+    .join(".");
+  let template = lookup(chain, "rules", qualified);
+
+  if (template === undefined) {
+    template = resolve(
+      lookup(chain, "rules", rule.name) || lookup(chain, "default"),
+      params,
+      locale
+    );
+    modifiers
+      .slice()
+      .reverse()
+      .forEach(modifier => {
+        // Custom modifiers without a message of their own are still named,
+        // so the message isn't mistaken for one about the whole value
+        const wrapper =
+          lookup(chain, "modifiers", modifier.name) ||
+          lookup(chain, "defaultModifier");
+        if (wrapper !== undefined) {
+          // Placeholders of the wrapper refer to the arguments of the modifier
+          const message = template;
+          const modifierParams = Object.assign({}, params, {
+            args: modifier.args || [],
+            modifier: modifier.name,
+            message
+          });
+          template = interpolate(
+            resolve(wrapper, modifierParams, locale),
+            modifierParams
+          ).replace(/\{message\}/g, () => message);
+        }
+      });
+  } else {
+    template = resolve(template, params, locale);
+  }
+
+  return interpolate(template, params);
+}
+
+function fallbackChain(locale) {
+  const chain = [];
+  let next = locale;
+  while (next && chain.indexOf(next) === -1) {
+    chain.push(next);
+    next = (locales[next] && locales[next].fallback) || baseLanguage(next);
+  }
+  if (chain.indexOf(defaultLocale) === -1) {
+    chain.push(defaultLocale);
+  }
+  return chain;
+}
+
+function baseLanguage(locale) {
+  const index = locale.indexOf("-");
+  return index > 0 ? locale.slice(0, index) : undefined;
+}
+
+function lookup(chain, section, key) {
+  for (let i = 0; i < chain.length; i++) {
+    const catalog = locales[chain[i]];
+    if (!catalog) continue;
+    if (key === undefined) {
+      if (catalog[section] !== undefined) return catalog[section];
+    } else if (key in catalog[section]) {
+      return catalog[section][key];
+    }
+  }
+  return undefined;
+}
+
+function resolve(template, params, locale) {
+  if (typeof template === "function") {
+    return resolve(template(params), params, locale);
+  }
+  if (template && typeof template === "object") {
+    const category = pluralCategory(locale, countOf(params.args));
+    return resolve(
+      category in template ? template[category] : template.other,
+      params,
+      locale
+    );
+  }
+  return String(template);
+}
+
+function countOf(args) {
+  for (let i = 0; i < args.length; i++) {
+    if (typeof args[i] === "number") return args[i];
+  }
+  return 0;
+}
+
+function pluralCategory(locale, count) {
+  if (typeof Intl !== "undefined" && Intl.PluralRules) {
+    try {
+      return new Intl.PluralRules(locale).select(count);
+    } catch (ex) {
+      // Unknown locale tags fall through to the simple rule
+    }
+  }
+  return count === 1 ? "one" : "other";
+}
+
+function interpolate(template, { rule, args, value, modifier }) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    if (/^\d+$/.test(key)) {
+      return key < args.length ? stringify(args[key]) : placeholder;
+    }
+    if (key === "value") return stringify(value);
+    if (key === "rule") return rule;
+    if (key === "modifier" && modifier !== undefined) return modifier;
+    return placeholder;
+  });
+}
+
+function stringify(value) {
+  if (Array.isArray(value)) {
+    return value.map(stringify).join(", ");
+  }
+  return String(value);
+}
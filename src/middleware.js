@@ -0,0 +1,107 @@
+// The middleware only relies on the parts of a request it validates and on
+// the methods of http.ServerResponse, so it works with plain `http` servers
+// and with frameworks built on top of it.
+
+import { errorMessages } from "./ValidationException";
+
+export function middleware(validations, options = {}) {
+  const {
+    async = false,
+    status = 400,
+    format = defaultFormat,
+    timeout
+  } = options;
+  const parts = Object.keys(validations);
+
+  return (req, res, next) => {
+    function validate(part) {
+      const value = requestPart(req, part);
+      return async
+        ? validations[part].validateAsync(value, { timeout })
+        : validations[part].validate(value);
+    }
+
+    function handle(results) {
+      const errors = results.reduce(
+        (errors, result, i) =>
+          errors.concat(
+            result.errors.map(error =>
+              Object.assign({}, error, {
+                part: parts[i],
+                path: [parts[i]].concat(error.path)
+              })
+            )
+          ),
+        []
+      );
+      if (errors.length > 0) {
+        respond(res, status, format(errors, req));
+        return false;
+      }
+      req.validated = results.reduce((validated, result, i) => {
+        validated[parts[i]] = result.value;
+        return validated;
+      }, Object.assign({}, req.validated));
+      return true;
+    }
+
+    // The next handler runs outside of the validation, so its errors are not
+    // given to next again but thrown or rejected to the caller
+    function proceed(valid) {
+      if (!valid) {
+        return Promise.resolve(false);
+      }
+      return next
+        ? Promise.resolve(next()).then(() => true)
+        : Promise.resolve(true);
+    }
+
+    function fail(error) {
+      if (next) {
+        next(error);
+        return false;
+      }
+      throw error;
+    }
+
+    if (async) {
+      return Promise.all(parts.map(validate))
+        .then(handle, fail)
+        .then(proceed);
+    }
+    let valid;
+    try {
+      valid = handle(parts.map(validate));
+    } catch (error) {
+      return new Promise(resolve => resolve(fail(error)));
+    }
+    return proceed(valid);
+  };
+}
+
+function defaultFormat(errors) {
+  return { errors: errorMessages(errors) };
+}
+
+function requestPart(req, part) {
+  if (part === "query" && req.query === undefined && req.url) {
+    return parseQuery(req.url);
+  }
+  return req[part];
+}
+
+function parseQuery(url) {
+  // Like querystring.parse, keys such as "__proto__" or "constructor" must not
+  // reach Object.prototype
+  const query = Object.create(null);
+  new URL(url, "http://localhost").searchParams.forEach((value, key) => {
+    query[key] = key in query ? [].concat(query[key], value) : value;
+  });
+  return query;
+}
+
+function respond(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
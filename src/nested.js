@@ -0,0 +1,67 @@
+// Nested rules are written once against a runner, which runs the nested
+// validations synchronously or asynchronously like the rule itself is run.
+
+export function nestedRule(definition) {
+  const fn = value => {
+    definition(value, createRunner(false, value));
+    return true;
+  };
+  fn.parse = (value, scope) =>
+    definition(value, createRunner(false, value, scope));
+  fn.parseAsync = (value, scope) =>
+    new Promise(resolve =>
+      resolve(definition(value, createRunner(true, value, scope)))
+    );
+  return fn;
+}
+
+export function collectErrors(results) {
+  return results.reduce(
+    (errors, result) => (result.valid ? errors : errors.concat(result.errors)),
+    []
+  );
+}
+
+function createRunner(async, value, scope = { root: value }) {
+  function nestedScope(target) {
+    return target === undefined
+      ? scope
+      : Object.assign({}, scope, { parent: value });
+  }
+
+  return {
+    scope,
+
+    validate(validation, nestedValue, target) {
+      if (async) {
+        return validation
+          ._testAsync(nestedValue, nestedScope(target))
+          .then(
+            parsed => ({ valid: true, value: parsed }),
+            ex => ({ valid: false, errors: [withTarget(ex, target)] })
+          );
+      }
+      try {
+        return {
+          valid: true,
+          value: validation._parse(nestedValue, nestedScope(target))
+        };
+      } catch (ex) {
+        return { valid: false, errors: [withTarget(ex, target)] };
+      }
+    },
+
+    all(results, fn) {
+      return async ? Promise.all(results).then(fn) : fn(results);
+    }
+  };
+}
+
+function withTarget(exception, target) {
+  if (target === undefined) {
+    return exception;
+  }
+  const copy = exception._prependPath(target);
+  copy.target = target;
+  return copy;
+}
@@ -0,0 +1,141 @@
+// Validations are serialized as the names and arguments of their rules, so
+// they can be rebuilt with the rules available where they are deserialized.
+// Arguments JSON cannot represent are tagged with a `$type`.
+
+export function serializeEntry(entry) {
+  const serialized = {
+    name: entry.name,
+    args: entry.args.map(arg => serializeArg(arg, entry.name)),
+    modifiers: entry.modifiers.map(
+      modifier =>
+        modifier.args.length > 0
+          ? {
+              name: modifier.name,
+              args: modifier.args.map(arg => serializeArg(arg, entry.name))
+            }
+          : modifier.name
+    )
+  };
+  if (typeof entry.message === "function") {
+    throw new Error(
+      `The message of the ${entry.name} rule cannot be serialized`
+    );
+  }
+  if (entry.message !== undefined) {
+    serialized.message = entry.message;
+  }
+  if (entry.cache) {
+    serialized.cache = { ttl: entry.cache.ttl, max: entry.cache.max };
+  }
+  return serialized;
+}
+
+function serializeArg(arg, name) {
+  if (arg === undefined) {
+    return { $type: "undefined" };
+  }
+  if (arg instanceof RegExp) {
+    return { $type: "regexp", source: arg.source, flags: arg.flags };
+  }
+  if (typeof arg === "function") {
+    throw new Error(
+      `The ${name} rule cannot be serialized because of a function argument`
+    );
+  }
+  if (Array.isArray(arg)) {
+    return arg.map(item => serializeArg(item, name));
+  }
+  if (arg !== null && typeof arg === "object") {
+    if (typeof arg.toJSON === "function") {
+      return arg.toJSON();
+    }
+    const serialized = mapValues(arg, value => serializeArg(value, name));
+    return hasOwn(arg, "$type")
+      ? { $type: "object", value: serialized }
+      : serialized;
+  }
+  return arg;
+}
+
+export function fromJSON(json, v8n) {
+  return deserializeValidation(
+    typeof json === "string" ? JSON.parse(json) : json,
+    v8n
+  );
+}
+
+function deserializeValidation({ chain = [], options = {} }, v8n) {
+  const validation = chain.reduce(
+    (validation, { name, args = [], modifiers = [], message, cache }) => {
+      const modified = modifiers.reduce((validation, modifier) => {
+        const { name, args } =
+          typeof modifier === "string" ? { name: modifier } : modifier;
+        let next = name in validation ? undefined : validation[name];
+        if (args && typeof next === "function") {
+          next = next(...args.map(arg => deserializeArg(arg, v8n)));
+        }
+        if (!next || typeof next !== "object") {
+          throw new Error(`Unknown modifier "${name}"`);
+        }
+        return next;
+      }, validation);
+      if (name in modified || typeof modified[name] !== "function") {
+        throw new Error(`Unknown rule "${name}"`);
+      }
+      const next = modified[name](...args.map(arg => deserializeArg(arg, v8n)));
+      const withMessage =
+        message === undefined ? next : next.withMessage(message);
+      return cache ? withMessage.cache(cache) : withMessage;
+    },
+    v8n()
+  );
+  return ["optional", "nullable"]
+    .filter(option => options[option])
+    .reduce((validation, option) => validation[option](), validation);
+}
+
+function deserializeArg(arg, v8n) {
+  if (Array.isArray(arg)) {
+    return arg.map(item => deserializeArg(item, v8n));
+  }
+  if (arg === null || typeof arg !== "object") {
+    return arg;
+  }
+  switch (arg.$type) {
+    case "undefined":
+      return undefined;
+    case "regexp":
+      return new RegExp(arg.source, arg.flags);
+    case "validation":
+      return deserializeValidation(arg, v8n);
+    case "ref":
+      return v8n.ref(arg.path);
+    case "object":
+      return mapValues(arg.value, value => deserializeArg(value, v8n));
+    default:
+      return mapValues(arg, value => deserializeArg(value, v8n));
+  }
+}
+
+function mapValues(object, fn) {
+  return Object.keys(object).reduce(
+    (result, key) => defineValue(result, key, fn(object[key])),
+    {}
+  );
+}
+
+// Keys like "__proto__" must become own properties instead of going through
+// the setters of Object.prototype
+function defineValue(object, key, value) {
+  Object.defineProperty(object, key, {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true
+  });
+  return object;
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
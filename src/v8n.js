@@ -1,34 +1,117 @@
 import Context from "./Context";
+import Rule from "./Rule";
+import Ref from "./Ref";
+import { nestedRule, collectErrors } from "./nested";
+import { errorMessages } from "./ValidationException";
+import { registerLocale, setLocale, getLocale } from "./messages";
+import { toJSONSchema, fromJSONSchema } from "./jsonSchema";
+import { fromJSON } from "./serialization";
+import { middleware } from "./middleware";
+
+function create() {
+  const registry = { rules: {}, modifiers: {} };
+
+  function v8n() {
+    return proxyContext(new Context(), registry);
+  }
 
-function v8n() {
-  return proxyContext(new Context());
-}
+  // Custom rules
 
-// Custom rules
-let customRules = {};
+  v8n.extend = function(newRules) {
+    Object.assign(registry.rules, newRules);
+  };
 
-v8n.extend = function(newRules) {
-  Object.assign(customRules, newRules);
-};
+  v8n.clearCustomRules = function() {
+    registry.rules = {};
+  };
 
-v8n.clearCustomRules = function() {
-  customRules = {};
-};
+  // Custom modifiers
+
+  v8n.extendModifiers = function(newModifiers) {
+    Object.assign(registry.modifiers, newModifiers);
+  };
+
+  v8n.clearCustomModifiers = function() {
+    registry.modifiers = {};
+  };
+
+  // Instances
+
+  v8n.create = create;
+
+  // References
+
+  v8n.ref = function(path) {
+    return new Ref(path);
+  };
+
+  // Messages
+
+  v8n.registerLocale = registerLocale;
+
+  v8n.setLocale = setLocale;
+
+  v8n.getLocale = getLocale;
+
+  v8n.errorMessages = errorMessages;
+
+  // Serialization
 
-function proxyContext(context) {
+  v8n.fromJSON = function(json) {
+    return fromJSON(json, v8n);
+  };
+
+  // HTTP
+
+  v8n.middleware = middleware;
+
+  // JSON Schema
+
+  v8n.toJSONSchema = toJSONSchema;
+
+  v8n.fromJSONSchema = function(document) {
+    return fromJSONSchema(document, v8n);
+  };
+
+  return v8n;
+}
+
+const v8n = create();
+
+function proxyContext(context, registry) {
   return new Proxy(context, {
     get(obj, prop) {
       if (prop in obj) {
         return obj[prop];
       }
 
-      const newContext = proxyContext(context._clone());
+      const newContext = proxyContext(context._clone(), registry);
+
+      if (prop === "withMessage") {
+        return message => newContext._applyMessage(message);
+      }
+      if (prop === "cache") {
+        return options => newContext._applyCache(options);
+      }
+      if (prop === "optional" || prop === "nullable") {
+        return () => newContext._applyOption(prop);
+      }
 
+      if (prop in registry.modifiers) {
+        const modifier = registry.modifiers[prop];
+        return typeof modifier === "function"
+          ? (...args) =>
+              newContext._applyModifier(modifier(...args), prop, args)
+          : newContext._applyModifier(modifier, prop);
+      }
       if (prop in availableModifiers) {
         return newContext._applyModifier(availableModifiers[prop], prop);
       }
-      if (prop in customRules) {
-        return newContext._applyRule(customRules[prop], prop);
+      if (prop in registry.rules) {
+        return newContext._applyRule(registry.rules[prop], prop);
+      }
+      if (prop in availableTransforms) {
+        return newContext._applyTransform(availableTransforms[prop], prop);
       }
       if (prop in availableRules) {
         return newContext._applyRule(availableRules[prop], prop);
@@ -63,6 +146,32 @@ function split(value) {
   return value;
 }
 
+const availableTransforms = {
+  trim: makeStringTransform(value => value.trim()),
+
+  toLowerCase: makeStringTransform(value => value.toLowerCase()),
+
+  toUpperCase: makeStringTransform(value => value.toUpperCase()),
+
+  toNumber: () => value => toNumber(value),
+
+  default: fallback => value => (value === undefined ? fallback : value),
+
+  transform: fn => fn
+};
+
+function makeStringTransform(fn) {
+  return () => value => (typeof value === "string" ? fn(value) : value);
+}
+
+function toNumber(value) {
+  if (typeof value !== "string" || value.trim() === "") {
+    return value;
+  }
+  const number = Number(value);
+  return isNaN(number) ? value : number;
+}
+
 const availableRules = {
   pattern: testPattern,
 
@@ -148,7 +257,29 @@ const availableRules = {
 
   integer: () => value => Number.isInteger(value) || testIntegerPolyfill(value),
 
-  schema: schema => testSchema(schema)
+  schema: (schema, options) => testSchema(schema, options),
+
+  arrayOf: (validation, options) => testArrayOf(validation, options),
+
+  tuple: (validations, options) => testTuple(validations, options),
+
+  record: (keyValidation, valueValidation) =>
+    testRecord(keyValidation, valueValidation),
+
+  // Conditions
+
+  when: (condition, then, otherwise) => testWhen(condition, then, otherwise),
+
+  // Alternatives
+
+  oneOf: (...validations) =>
+    testAlternatives(validations, passed => passed === 1),
+
+  anyOf: (...validations) =>
+    testAlternatives(validations, passed => passed > 0),
+
+  allOf: (...validations) =>
+    testAlternatives(validations, passed => passed === validations.length)
 };
 
 function testPattern(pattern) {
@@ -217,24 +348,206 @@ function testIntegerPolyfill(value) {
   );
 }
 
-function testSchema(schema) {
-  return value => {
-    const causes = [];
-    Object.keys(schema).forEach(key => {
-      const nestedValidation = schema[key];
-      try {
-        nestedValidation.check(value[key]);
-      } catch (ex) {
-        ex.target = key;
-        ex.cause = null;
-        causes.push(ex);
+const unknownKeyModes = ["allow", "strip", "reject"];
+
+const unknownKeyValidation = new Context([
+  new Rule("unknownKey", () => false, [], [])
+]);
+
+function testSchema(schema, { unknown = "allow" } = {}) {
+  if (unknownKeyModes.indexOf(unknown) === -1) {
+    throw new Error(
+      `The unknown option must be one of ${unknownKeyModes.join(", ")}`
+    );
+  }
+  return nestedRule((value, runner) => {
+    const keys = Object.keys(schema);
+    const unknownKeys =
+      unknown === "allow"
+        ? []
+        : Object.keys(value).filter(key => !hasOwn(schema, key));
+    const validations = keys.map(key =>
+      runner.validate(schema[key], value[key], key)
+    );
+    if (unknown === "reject") {
+      unknownKeys.forEach(key => {
+        validations.push(
+          runner.validate(unknownKeyValidation, value[key], key)
+        );
+      });
+    }
+    return runner.all(validations, results => {
+      const causes = collectErrors(results);
+      if (causes.length > 0) {
+        throw causes;
       }
+      const result = Object.keys(value)
+        .filter(key => unknownKeys.indexOf(key) === -1)
+        .reduce((result, key) => defineValue(result, key, value[key]), {});
+      keys.forEach((key, i) => {
+        const parsed = results[i].value;
+        if (parsed !== undefined || hasOwn(result, key)) {
+          defineValue(result, key, parsed);
+        }
+      });
+      return result;
     });
-    if (causes.length > 0) {
-      throw causes;
-    }
-    return true;
-  };
+  });
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Keys like "__proto__" must become own properties instead of going through
+// the setters of Object.prototype
+function defineValue(object, key, value) {
+  Object.defineProperty(object, key, {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true
+  });
+  return object;
+}
+
+function testArrayOf(validation, { min, max } = {}) {
+  const arrayValidation = builtInValidation(
+    [["array"]]
+      .concat(min === undefined ? [] : [["minLength", min]])
+      .concat(max === undefined ? [] : [["maxLength", max]])
+  );
+  return testItems(arrayValidation, () => validation);
+}
+
+function testTuple(validations, { rest } = {}) {
+  const arrayValidation = builtInValidation([
+    ["array"],
+    rest ? ["minLength", validations.length] : ["length", validations.length]
+  ]);
+  return testItems(
+    arrayValidation,
+    index => (index < validations.length ? validations[index] : rest)
+  );
+}
+
+function testItems(arrayValidation, validationAt) {
+  return nestedRule((value, runner) => {
+    const items = Array.isArray(value) ? value : [];
+    const validations = [runner.validate(arrayValidation, value)];
+    items.forEach((item, index) => {
+      const validation = validationAt(index);
+      if (validation) {
+        validations.push(runner.validate(validation, item, index));
+      }
+    });
+    return runner.all(validations, results => {
+      const causes = collectErrors(results);
+      if (causes.length > 0) {
+        throw causes;
+      }
+      return results.slice(1).map(result => result.value);
+    });
+  });
+}
+
+function testRecord(keyValidation, valueValidation) {
+  const objectValidation = new Context([
+    new Rule(
+      "object",
+      value => value !== null && typeof value === "object",
+      [],
+      []
+    )
+  ]);
+  return nestedRule((value, runner) => {
+    const entries = entriesOf(value);
+    const validations = [runner.validate(objectValidation, value)];
+    entries.forEach(([key, item]) => {
+      validations.push(
+        keyValidation
+          ? runner.validate(keyValidation, key, key)
+          : { valid: true, value: key },
+        valueValidation
+          ? runner.validate(valueValidation, item, key)
+          : { valid: true, value: item }
+      );
+    });
+    return runner.all(validations, results => {
+      const causes = collectErrors(results);
+      if (causes.length > 0) {
+        throw causes;
+      }
+      const parsed = [];
+      for (let i = 1; i < results.length; i += 2) {
+        parsed.push([results[i].value, results[i + 1].value]);
+      }
+      return value instanceof Map
+        ? new Map(parsed)
+        : parsed.reduce(
+            (result, [key, item]) => defineValue(result, key, item),
+            {}
+          );
+    });
+  });
+}
+
+function entriesOf(value) {
+  if (value instanceof Map) {
+    return Array.from(value.entries());
+  }
+  if (value && typeof value === "object") {
+    return Object.keys(value).map(key => [key, value[key]]);
+  }
+  return [];
+}
+
+function builtInValidation(rules) {
+  return new Context(
+    rules.map(
+      ([name, ...args]) =>
+        new Rule(name, availableRules[name](...args), args, [])
+    )
+  );
+}
+
+function testWhen(condition, then, otherwise) {
+  return nestedRule((value, runner) => {
+    const { parent, root } = runner.scope;
+    const matched =
+      condition instanceof Context
+        ? runner.validate(condition, value)
+        : runner.all([condition(value, parent, root)], ([valid]) => ({
+            valid: Boolean(valid)
+          }));
+    return runner.all([matched], ([{ valid }]) => {
+      const branch = valid ? then : otherwise;
+      if (!branch) {
+        return value;
+      }
+      return runner.all([runner.validate(branch, value)], ([result]) => {
+        if (!result.valid) {
+          throw result.errors;
+        }
+        return result.value;
+      });
+    });
+  });
+}
+
+function testAlternatives(validations, accept) {
+  return nestedRule((value, runner) =>
+    runner.all(
+      validations.map(validation => runner.validate(validation, value)),
+      results => {
+        const passed = results.filter(result => result.valid);
+        if (!accept(passed.length)) {
+          throw collectErrors(results);
+        }
+        return passed.length ? passed[0].value : value;
+      }
+    )
+  );
 }
 
 export default v8n;
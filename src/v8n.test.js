@@ -1,6 +1,7 @@
 import v8n from "./v8n";
 import Rule from "./Rule";
 import ValidationException from "./ValidationException";
+import AbortException from "./AbortException";
 
 beforeEach(() => {
   v8n.clearCustomRules();
@@ -75,6 +76,16 @@ describe("execution functions", () => {
     it("should return an empty array if all rules passed", () => {
       expect(validation.testAll("Hello")).toHaveLength(0);
     });
+
+    it("should agree with the 'test' function on modified rules", () => {
+      const some = v8n().some.includes("a");
+      const not = v8n().not.includes("a");
+
+      expect(some.test(5)).toBe(false);
+      expect(some.testAll(5)).toHaveLength(1);
+      expect(not.test(0)).toBe(true);
+      expect(not.testAll(0)).toEqual([]);
+    });
   });
 
   describe("the 'check' function", () => {
@@ -246,6 +257,529 @@ describe("execution functions", () => {
       });
     });
   });
+
+  describe("the 'testAllAsync' function", () => {
+    beforeEach(() => {
+      v8n.extend({ asyncRule });
+    });
+
+    it("should resolve with a ValidationException for each failed rule", async () => {
+      const validation = v8n()
+        .string()
+        .asyncRule(["Hello", "Hi"])
+        .minLength(3)
+        .asyncRule(["Hello", "Bye"]);
+
+      const result = await validation.testAllAsync("Hi");
+      expect(result).toHaveLength(2);
+      expect(result[0]).toBeInstanceOf(ValidationException);
+      expect(result[0].rule).toBe(validation.chain[2]);
+      expect(result[1].rule).toBe(validation.chain[3]);
+      expect(result[1].value).toBe("Hi");
+    });
+
+    it("should resolve with an empty array if all rules passed", async () => {
+      const validation = v8n()
+        .string()
+        .asyncRule(["Hello", "Hi"])
+        .minLength(3);
+
+      await expect(validation.testAllAsync("Hello")).resolves.toEqual([]);
+    });
+
+    it("should run the rules in parallel", async () => {
+      let running = 0;
+      let maxRunning = 0;
+      v8n.extend({
+        slowRule: () => value => {
+          maxRunning = Math.max(maxRunning, ++running);
+          return new Promise(resolve => {
+            setTimeout(() => {
+              running--;
+              resolve(value > 0);
+            }, 20);
+          });
+        }
+      });
+
+      const slow = v8n()
+        .slowRule()
+        .slowRule()
+        .slowRule();
+
+      await expect(slow.testAllAsync(-1)).resolves.toHaveLength(3);
+      expect(maxRunning).toBe(1);
+      await expect(
+        slow.testAllAsync(-1, { parallel: true })
+      ).resolves.toHaveLength(3);
+      expect(maxRunning).toBe(3);
+      await expect(slow.testAllAsync(1, { parallel: true })).resolves.toEqual(
+        []
+      );
+    });
+
+    it("should apply the transforms in order", async () => {
+      const transformed = v8n()
+        .trim()
+        .asyncRule(["Hello"])
+        .transform(value => value.toUpperCase())
+        .uppercase();
+
+      await expect(transformed.testAllAsync(" Hello ")).resolves.toEqual([]);
+      await expect(
+        transformed.testAllAsync(" Hello ", { parallel: true })
+      ).resolves.toEqual([]);
+
+      const result = await transformed.testAllAsync(10, { parallel: true });
+      expect(result.map(ex => ex.rule.name)).toEqual([
+        "asyncRule",
+        "transform"
+      ]);
+    });
+
+    it("should include nested schema failures", async () => {
+      const [ex] = await v8n()
+        .schema({
+          name: v8n().string(),
+          address: v8n().schema({ zip: v8n().number() })
+        })
+        .testAllAsync({ name: 1, address: { zip: "none" } });
+
+      expect(ex.flatten().map(it => it.path)).toEqual([
+        ["name"],
+        ["address", "zip"]
+      ]);
+    });
+
+    it("should include rejected rules", async () => {
+      v8n.extend({
+        failingRule: () => () => Promise.reject(new Error("Unavailable"))
+      });
+
+      const result = await v8n()
+        .failingRule()
+        .string()
+        .testAllAsync(1);
+
+      expect(result.map(ex => ex.rule.name)).toEqual(["failingRule", "string"]);
+      expect(result[0].cause.message).toBe("Unavailable");
+    });
+  });
+
+  describe("the 'validate' function", () => {
+    const validation = v8n()
+      .trim()
+      .string()
+      .minLength(2)
+      .not.includes(" ");
+
+    it("should return the parsed value when valid", () => {
+      expect(validation.validate(" ab ")).toEqual({
+        valid: true,
+        value: "ab",
+        errors: []
+      });
+    });
+
+    it("should return every failure", () => {
+      expect(validation.validate("a b")).toEqual({
+        valid: false,
+        value: "a b",
+        errors: [
+          {
+            rule: "includes",
+            args: [" "],
+            path: [],
+            message: "must not include  ",
+            value: "a b"
+          }
+        ]
+      });
+      expect(validation.validate(1).errors.map(error => error.rule)).toEqual([
+        "string",
+        "minLength"
+      ]);
+    });
+
+    it("should stop after a failed transform", () => {
+      const result = v8n()
+        .transform(() => {
+          throw new Error("Invalid");
+        })
+        .string()
+        .validate(1);
+
+      expect(result.valid).toBeFalsy();
+      expect(result.errors.map(error => error.rule)).toEqual(["transform"]);
+    });
+
+    it("should include nested failures", () => {
+      const result = v8n()
+        .schema({
+          name: v8n().string(),
+          address: v8n().schema({ zip: v8n().number() }),
+          tags: v8n().arrayOf(v8n().string())
+        })
+        .validate({ name: 1, address: { zip: "none" }, tags: ["a", 1] });
+
+      expect(result.errors).toEqual([
+        {
+          rule: "string",
+          args: [],
+          path: ["name"],
+          message: "must be a string",
+          value: 1
+        },
+        {
+          rule: "number",
+          args: [],
+          path: ["address", "zip"],
+          message: "must be a number",
+          value: "none"
+        },
+        {
+          rule: "string",
+          args: [],
+          path: ["tags", 1],
+          message: "must be a string",
+          value: 1
+        }
+      ]);
+    });
+
+    it("should accept optional values", () => {
+      expect(
+        v8n()
+          .string()
+          .optional()
+          .validate(undefined)
+      ).toEqual({ valid: true, value: undefined, errors: [] });
+    });
+  });
+
+  describe("the 'validateAsync' function", () => {
+    it("should resolve to the result", async () => {
+      v8n.extend({ asyncRule });
+      const validation = v8n()
+        .trim()
+        .asyncRule(["ab", "cd"], 0)
+        .minLength(2);
+
+      await expect(validation.validateAsync(" ab ")).resolves.toEqual({
+        valid: true,
+        value: "ab",
+        errors: []
+      });
+      const result = await validation.validateAsync("a");
+      expect(result).toMatchObject({ valid: false, value: "a" });
+      expect(result.errors.map(error => error.rule)).toEqual([
+        "asyncRule",
+        "minLength"
+      ]);
+    });
+
+    it("should include nested failures", async () => {
+      v8n.extend({ asyncRule });
+      const result = await v8n()
+        .schema({ name: v8n().asyncRule("a", 0) })
+        .validateAsync({ name: "b" });
+
+      expect(result.errors).toEqual([
+        {
+          rule: "asyncRule",
+          args: ["a", 0],
+          path: ["name"],
+          message: "must pass the asyncRule rule",
+          value: "b"
+        }
+      ]);
+    });
+  });
+
+  describe("the 'validateAt' function", () => {
+    const validation = v8n().schema({
+      name: v8n()
+        .trim()
+        .string()
+        .minLength(2),
+      password: v8n().string(),
+      confirm: v8n().exact(v8n.ref("password")),
+      address: v8n().schema({
+        zip: v8n().number()
+      }),
+      tags: v8n().arrayOf(v8n().string()),
+      point: v8n().tuple([v8n().number()], { rest: v8n().string() }),
+      scores: v8n().record(v8n().string(), v8n().integer())
+    });
+    const value = {
+      name: " v8n ",
+      password: "a",
+      confirm: "b",
+      address: { zip: "none" },
+      tags: ["a", 1],
+      point: [1, 2],
+      scores: new Map([["a", 1.5]])
+    };
+
+    it("should validate a single field", () => {
+      expect(validation.validateAt("name", value)).toEqual({
+        valid: true,
+        value: "v8n",
+        errors: []
+      });
+      expect(validation.validateAt("confirm", value)).toMatchObject({
+        valid: false,
+        value: "b",
+        errors: [{ rule: "exact", path: ["confirm"], value: "b" }]
+      });
+    });
+
+    it("should resolve nested schemas and array elements", () => {
+      expect(validation.validateAt("address.zip", value).errors).toEqual([
+        {
+          rule: "number",
+          args: [],
+          path: ["address", "zip"],
+          message: "must be a number",
+          value: "none"
+        }
+      ]);
+      expect(validation.validateAt("tags.0", value).valid).toBeTruthy();
+      expect(validation.validateAt(["tags", 1], value).errors).toMatchObject([
+        { rule: "string", path: ["tags", 1] }
+      ]);
+      expect(validation.validateAt(["tags", "1"], value).errors).toMatchObject([
+        { rule: "string", path: ["tags", 1] }
+      ]);
+      expect(validation.validateAt("point.0", value).valid).toBeTruthy();
+      expect(validation.validateAt("point.1", value).valid).toBeFalsy();
+      expect(validation.validateAt("scores.a", value).valid).toBeFalsy();
+      expect(validation.validateAt("address", value).errors).toMatchObject([
+        { rule: "number", path: ["address", "zip"] }
+      ]);
+    });
+
+    it("should only run the rules of the path", () => {
+      const calls = [];
+      v8n.extend({
+        tracked: name => value => {
+          calls.push(name);
+          return true;
+        }
+      });
+      const tracked = v8n().schema({
+        a: v8n().tracked("a"),
+        b: v8n().schema({ c: v8n().tracked("c") })
+      });
+
+      tracked.validateAt("b.c", { b: { c: 1 } });
+      expect(calls).toEqual(["c"]);
+    });
+
+    it("should accept absent optional or nullable ancestors", () => {
+      const nested = v8n().schema({
+        a: v8n()
+          .optional()
+          .schema({ b: v8n().string() }),
+        c: v8n()
+          .nullable()
+          .schema({ d: v8n().string() })
+      });
+
+      expect(nested.validate({ c: null }).valid).toBeTruthy();
+      expect(nested.validateAt("a.b", { c: null })).toEqual({
+        valid: true,
+        value: undefined,
+        errors: []
+      });
+      expect(nested.validateAt("c.d", { c: null }).valid).toBeTruthy();
+      expect(nested.validateAt("a.b", { a: {} }).errors).toMatchObject([
+        { rule: "string", path: ["a", "b"] }
+      ]);
+      expect(nested.validateAt("c.d", {}).valid).toBeFalsy();
+    });
+
+    it("should fail for unknown paths", () => {
+      expect(() => validation.validateAt("other", value)).toThrow(
+        "No validation found at the path other"
+      );
+      expect(() => validation.validateAt("name.first", value)).toThrow(
+        "No validation found at the path name.first"
+      );
+    });
+  });
+
+  describe("the 'validateAtAsync' function", () => {
+    it("should only run the asynchronous rules of the path", async () => {
+      const calls = [];
+      v8n.extend({
+        available: () => value => {
+          calls.push(value);
+          return Promise.resolve(value !== "taken");
+        }
+      });
+      const validation = v8n().schema({
+        email: v8n().available(),
+        users: v8n().arrayOf(
+          v8n().schema({
+            name: v8n()
+              .string()
+              .available()
+          })
+        )
+      });
+      const value = { email: "a", users: [{ name: "b" }, { name: "taken" }] };
+
+      await expect(
+        validation.validateAtAsync("users.1.name", value)
+      ).resolves.toMatchObject({
+        valid: false,
+        errors: [{ rule: "available", path: ["users", 1, "name"] }]
+      });
+      await expect(
+        validation.validateAtAsync("users.0.name", value)
+      ).resolves.toEqual({ valid: true, value: "b", errors: [] });
+      expect(calls).toEqual(["taken", "b"]);
+    });
+  });
+
+  describe("cancellation", () => {
+    function signalRule(delay) {
+      const calls = [];
+      const rule = () => (value, { signal }) => {
+        calls.push(signal);
+        return new Promise(resolve => setTimeout(() => resolve(true), delay));
+      };
+      return { rule, calls };
+    }
+
+    it("should reject with an exception when timing out", async () => {
+      const slow = signalRule(100);
+      const next = signalRule(0);
+      v8n.extend({ slowRule: slow.rule, nextRule: next.rule });
+
+      const promise = v8n()
+        .slowRule()
+        .nextRule()
+        .testAsync("a", { timeout: 20 });
+
+      await expect(promise).rejects.toBeInstanceOf(AbortException);
+      await expect(promise).rejects.toMatchObject({
+        reason: "timeout",
+        timeout: 20,
+        message: "The validation timed out after 20ms"
+      });
+      expect(slow.calls[0].aborted).toBeTruthy();
+      await new Promise(resolve => setTimeout(resolve, 120));
+      expect(next.calls).toHaveLength(0);
+    });
+
+    it("should stop the validation without AbortController", async () => {
+      const slow = signalRule(50);
+      const next = signalRule(0);
+      v8n.extend({ slowRule: slow.rule, nextRule: next.rule });
+      const { AbortController } = global;
+      global.AbortController = undefined;
+
+      try {
+        await expect(
+          v8n()
+            .slowRule()
+            .nextRule()
+            .testAsync("a", { timeout: 10 })
+        ).rejects.toMatchObject({ reason: "timeout" });
+        await expect(
+          v8n()
+            .slowRule()
+            .nextRule()
+            .validateAsync("a", { timeout: 10 })
+        ).rejects.toMatchObject({ reason: "timeout" });
+      } finally {
+        global.AbortController = AbortController;
+      }
+      await new Promise(resolve => setTimeout(resolve, 80));
+      expect(slow.calls).toEqual([undefined, undefined]);
+      expect(next.calls).toHaveLength(0);
+    });
+
+    it("should reject with an exception when aborted", async () => {
+      const slow = signalRule(50);
+      v8n.extend({ slowRule: slow.rule });
+      const controller = new AbortController();
+
+      const promise = v8n()
+        .slowRule()
+        .testAsync("a", { signal: controller.signal });
+      controller.abort();
+
+      await expect(promise).rejects.toMatchObject({
+        name: "AbortException",
+        reason: "abort"
+      });
+      expect(slow.calls[0].aborted).toBeTruthy();
+    });
+
+    it("should not run rules with an aborted signal", async () => {
+      const slow = signalRule(0);
+      v8n.extend({ slowRule: slow.rule });
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        v8n()
+          .slowRule()
+          .testAsync("a", { signal: controller.signal })
+      ).rejects.toMatchObject({ reason: "abort" });
+      expect(slow.calls).toHaveLength(0);
+    });
+
+    it("should resolve before the timeout", async () => {
+      const fast = signalRule(0);
+      v8n.extend({ fastRule: fast.rule });
+
+      await expect(
+        v8n()
+          .fastRule()
+          .testAsync("a", { timeout: 100 })
+      ).resolves.toBe("a");
+      expect(fast.calls[0].aborted).toBeFalsy();
+    });
+
+    it("should keep validation failures", async () => {
+      v8n.extend({ asyncRule });
+
+      await expect(
+        v8n()
+          .asyncRule("b", 0)
+          .testAsync("a", { timeout: 100 })
+      ).rejects.toBeInstanceOf(ValidationException);
+    });
+
+    it("should pass the signal to nested rules", async () => {
+      const slow = signalRule(100);
+      v8n.extend({ slowRule: slow.rule });
+
+      await expect(
+        v8n()
+          .schema({ items: v8n().arrayOf(v8n().slowRule()) })
+          .testAsync({ items: [1, 2] }, { timeout: 20 })
+      ).rejects.toMatchObject({ reason: "timeout" });
+      expect(slow.calls).toHaveLength(2);
+      expect(slow.calls.every(signal => signal.aborted)).toBeTruthy();
+    });
+
+    it("should apply to testAllAsync", async () => {
+      const slow = signalRule(100);
+      v8n.extend({ slowRule: slow.rule });
+
+      await expect(
+        v8n()
+          .slowRule()
+          .string()
+          .testAllAsync(1, { timeout: 20 })
+      ).rejects.toMatchObject({ reason: "timeout" });
+    });
+  });
 });
 
 describe("modifiers", () => {
@@ -722,120 +1256,2203 @@ describe("rules", () => {
     expect(not.test(Infinity)).toBeTruthy();
   });
 
-  test("schema", () => {
-    const is = v8n().schema({
-      one: v8n()
-        .string()
-        .minLength(3),
-      two: v8n()
-        .number()
-        .between(5, 10)
+  describe("arrayOf", () => {
+    const validation = v8n().arrayOf(
+      v8n().schema({
+        name: v8n()
+          .string()
+          .trim()
+          .minLength(1)
+      }),
+      { min: 1, max: 3 }
+    );
+
+    it("should validate every item", () => {
+      expect(
+        validation.test([{ name: "Luke" }, { name: "Leia" }])
+      ).toBeTruthy();
+      expect(validation.test([{ name: "Luke" }, { name: "" }])).toBeFalsy();
+      expect(validation.test({ name: "Luke" })).toBeFalsy();
+      expect(validation.test("Luke")).toBeFalsy();
     });
 
-    expect(is.test({ one: "Hello", two: 8 })).toBeTruthy();
-    expect(is.test({ one: "Hi", two: 8 })).toBeFalsy();
-    expect(is.test({ one: "Hello", two: 12 })).toBeFalsy();
-    expect(is.test({ one: 1, two: "Two" })).toBeFalsy();
-    expect(is.test({ one: "Hello" })).toBeFalsy();
-    expect(is.test({ two: 8 })).toBeFalsy();
-    expect(is.test({})).toBeFalsy();
-    expect(() => is.test({ one: "Hello", two: 8 })).not.toThrow();
-    expect(() => is.check({ one: "Hello", two: 12 })).toThrow();
+    it("should check the number of items", () => {
+      expect(validation.test([])).toBeFalsy();
+      expect(
+        validation.test([{ name: "a" }, { name: "b" }, { name: "c" }])
+      ).toBeTruthy();
+      expect(
+        validation.test([
+          { name: "a" },
+          { name: "b" },
+          { name: "c" },
+          { name: "d" }
+        ])
+      ).toBeFalsy();
+      expect(
+        v8n()
+          .arrayOf(v8n().number())
+          .test([])
+      ).toBeTruthy();
+    });
 
-    try {
-      is.check({ one: "Hi", two: 12 });
-    } catch (ex) {
+    it("should report the index of the failed items", () => {
+      expect.assertions(2);
+      try {
+        validation.check([{ name: "Luke" }, { name: 1 }, {}]);
+      } catch (ex) {
+        expect(ex.cause).toMatchObject([
+          { target: 1, path: [1] },
+          { target: 2, path: [2] }
+        ]);
+        expect(ex.flatten().map(it => it.path)).toEqual([
+          [1, "name"],
+          [2, "name"]
+        ]);
+      }
+    });
+
+    it("should report the number of items", () => {
+      const [ex] = validation.testAll([]);
       expect(ex.cause).toMatchObject([
-        { target: "one", value: "Hi", rule: { name: "minLength" } },
-        { target: "two", value: 12, rule: { name: "between" } }
+        { rule: { name: "minLength" }, path: [] }
       ]);
-    }
-
-    const not = v8n().not.schema({
-      one: v8n()
-        .string()
-        .minLength(3),
-      two: v8n()
-        .number()
-        .between(5, 10)
     });
 
-    expect(not.test({ one: "Hello", two: 8 })).toBeFalsy();
-    expect(not.test({ one: "Hi", two: 8 })).toBeTruthy();
-    expect(not.test({ one: "Hello", two: 12 })).toBeTruthy();
-    expect(not.test({ one: 1, two: "Two" })).toBeTruthy();
-    expect(not.test({ one: "Hello" })).toBeTruthy();
-    expect(not.test({ two: 8 })).toBeTruthy();
-    expect(not.test({})).toBeTruthy();
-  });
-});
-
-describe("custom rules", () => {
-  it("should be chainable", () => {
-    v8n.extend({
-      newRule: () => value => true
+    it("should parse every item", () => {
+      expect(validation.parse([{ name: " Luke " }, { name: "Leia " }])).toEqual(
+        [{ name: "Luke" }, { name: "Leia" }]
+      );
     });
 
-    const validation = v8n()
-      .string()
-      .newRule()
-      .lowercase();
+    it("should work asynchronously", async () => {
+      v8n.extend({ asyncRule });
 
-    expect(debugRules(validation)).toEqual([
-      "string()",
-      "newRule()",
-      "lowercase()"
-    ]);
-  });
+      const async = v8n().arrayOf(v8n().asyncRule(["a", "b"]), { max: 2 });
 
-  it("should be used in validation", () => {
-    v8n.extend({
-      or: (a, b) => value => value === a || value === b
+      await expect(async.testAsync(["a", "b"])).resolves.toEqual(["a", "b"]);
+      await expect(async.testAsync(["a", "c"])).rejects.toMatchObject({
+        cause: [{ target: 1, path: [1], value: "c" }]
+      });
+      await expect(async.testAsync(["a", "b", "a"])).rejects.toMatchObject({
+        cause: [{ rule: { name: "maxLength" } }]
+      });
     });
+  });
 
-    const validation = v8n()
-      .string()
-      .or("one", "two");
+  describe("tuple", () => {
+    const point = v8n().tuple([v8n().number(), v8n().number()]);
+    const message = v8n().tuple(
+      [
+        v8n()
+          .toLowerCase()
+          .string(),
+        v8n().object()
+      ],
+      {
+        rest: v8n().string()
+      }
+    );
 
-    expect(validation.test("one")).toBeTruthy();
-    expect(validation.test("two")).toBeTruthy();
-    expect(validation.test("three")).toBeFalsy();
-  });
+    it("should validate each position", () => {
+      expect(point.test([1, 2])).toBeTruthy();
+      expect(point.test([1, "2"])).toBeFalsy();
+      expect(point.test(["1", 2])).toBeFalsy();
+      expect(point.test({ 0: 1, 1: 2 })).toBeFalsy();
+    });
 
-  it("should be inverted by 'not' modifier", () => {
-    v8n.extend({
-      exact: it => value => value === it
+    it("should enforce the exact length", () => {
+      expect(point.test([1])).toBeFalsy();
+      expect(point.test([1, 2, 3])).toBeFalsy();
+      expect(point.testAll([1, 2, 3])[0].cause).toMatchObject([
+        { rule: { name: "length", args: [2] } }
+      ]);
     });
 
-    const validation = v8n()
-      .string()
-      .not.exact("hello");
+    it("should validate the rest of the items", () => {
+      expect(message.test(["ok", {}])).toBeTruthy();
+      expect(message.test(["ok", {}, "a", "b"])).toBeTruthy();
+      expect(message.test(["ok", {}, "a", 1])).toBeFalsy();
+      expect(message.test(["ok"])).toBeFalsy();
+    });
 
-    expect(validation.test("hi")).toBeTruthy();
-    expect(validation.test("nice")).toBeTruthy();
-    expect(validation.test("hello")).toBeFalsy();
-  });
+    it("should report the failed index as target", async () => {
+      expect.assertions(2);
+      try {
+        message.check([1, {}, "a", 2]);
+      } catch (ex) {
+        expect(ex.cause).toMatchObject([
+          { target: 0, path: [0], value: 1 },
+          { target: 3, path: [3], value: 2 }
+        ]);
+      }
 
-  test("extend should be able to call multiple times", () => {
-    v8n.extend({
-      one: () => value => true
+      await expect(point.testAsync([1, "a"])).rejects.toMatchObject({
+        cause: [{ target: 1, path: [1] }]
+      });
     });
 
-    v8n.extend({
-      two: () => value => true
+    it("should parse each position", async () => {
+      expect(message.parse(["OK", {}, "a"])).toEqual(["ok", {}, "a"]);
+      await expect(message.testAsync(["OK", {}])).resolves.toEqual(["ok", {}]);
     });
+  });
 
-    const validation = v8n()
-      .one()
-      .two();
+  describe("record", () => {
+    const translations = v8n().record(
+      v8n().pattern(/^[a-z]{2}(-[A-Z]{2})?$/),
+      v8n()
+        .string()
+        .trim()
+        .minLength(1)
+    );
+
+    it("should validate every key and value", () => {
+      expect(translations.test({ en: "Hello", "pt-BR": "Olá" })).toBeTruthy();
+      expect(translations.test({})).toBeTruthy();
+      expect(translations.test({ english: "Hello" })).toBeFalsy();
+      expect(translations.test({ en: " " })).toBeFalsy();
+      expect(translations.test("en")).toBeFalsy();
+      expect(translations.test(null)).toBeFalsy();
+    });
 
-    expect(debugRules(validation)).toEqual(["one()", "two()"]);
-  });
+    it("should report the offending key as target", async () => {
+      expect.assertions(2);
+      try {
+        translations.check({ en: "Hello", english: "Hello", es: 1 });
+      } catch (ex) {
+        expect(ex.cause).toMatchObject([
+          { target: "english", path: ["english"], value: "english" },
+          { target: "es", path: ["es"], value: 1 }
+        ]);
+      }
 
-  describe("the 'clearCustomRules' function", () => {
-    beforeEach(() => {
-      v8n.extend({
-        asyncRule
+      await expect(translations.testAsync({ en: "" })).rejects.toMatchObject({
+        cause: [{ target: "en", rule: { name: "minLength" } }]
+      });
+    });
+
+    it("should validate Map instances", () => {
+      const scores = v8n().record(
+        v8n().number(),
+        v8n()
+          .toNumber()
+          .number()
+      );
+
+      expect(scores.test(new Map([[1, 10], [2, 20]]))).toBeTruthy();
+      expect(scores.test(new Map([["1", 10]]))).toBeFalsy();
+      expect(scores.parse(new Map([[1, "10"]]))).toEqual(new Map([[1, 10]]));
+    });
+
+    it("should parse every value", () => {
+      expect(translations.parse({ en: " Hello " })).toEqual({ en: "Hello" });
+    });
+
+    it("should keep __proto__ keys as own properties", () => {
+      const parsed = v8n()
+        .record(v8n().string(), v8n())
+        .parse(JSON.parse('{"a":1,"__proto__":{"isAdmin":true}}'));
+
+      expect(parsed.isAdmin).toBeUndefined();
+      expect(Object.getPrototypeOf(parsed)).toBe(Object.prototype);
+      expect(Object.keys(parsed)).toEqual(["a", "__proto__"]);
+    });
+  });
+
+  describe("when", () => {
+    it("should select the validation with a predicate", () => {
+      const validation = v8n().when(
+        value => typeof value === "string",
+        v8n().minLength(3),
+        v8n().positive()
+      );
+
+      expect(validation.test("abc")).toBeTruthy();
+      expect(validation.test("ab")).toBeFalsy();
+      expect(validation.test(1)).toBeTruthy();
+      expect(validation.test(-1)).toBeFalsy();
+    });
+
+    it("should select the validation with a validation", () => {
+      const validation = v8n().when(
+        v8n().array(),
+        v8n().arrayOf(v8n().number()),
+        v8n().number()
+      );
+
+      expect(validation.test([1, 2])).toBeTruthy();
+      expect(validation.test(["1"])).toBeFalsy();
+      expect(validation.test(1)).toBeTruthy();
+      expect(validation.test("1")).toBeFalsy();
+    });
+
+    it("should pass without an otherwise validation", () => {
+      const validation = v8n().when(v8n().string(), v8n().minLength(3));
+
+      expect(validation.test(1)).toBeTruthy();
+      expect(validation.test("ab")).toBeFalsy();
+      expect(validation.parse(1)).toBe(1);
+    });
+
+    it("should keep the failure of the selected validation", () => {
+      const validation = v8n().when(v8n().string(), v8n().minLength(3));
+
+      expect.assertions(2);
+      try {
+        validation.check("ab");
+      } catch (ex) {
+        expect(ex.rule.name).toBe("when");
+        expect(ex.flatten()).toMatchObject([{ rule: { name: "minLength" } }]);
+      }
+    });
+
+    it("should depend on sibling fields inside a schema", async () => {
+      const eu = ["DE", "FR", "PT"];
+      const validation = v8n().schema({
+        country: v8n()
+          .string()
+          .length(2),
+        vatNumber: v8n().when(
+          (value, parent) => eu.indexOf(parent.country) !== -1,
+          v8n()
+            .string()
+            .trim()
+            .pattern(/^[A-Z]{2}[0-9]+$/),
+          v8n()
+            .optional()
+            .string()
+        )
+      });
+
+      expect(
+        validation.test({ country: "DE", vatNumber: "DE123" })
+      ).toBeTruthy();
+      expect(validation.test({ country: "DE" })).toBeFalsy();
+      expect(validation.test({ country: "US" })).toBeTruthy();
+      expect(validation.test({ country: "US", vatNumber: 12 })).toBeFalsy();
+      expect(validation.parse({ country: "FR", vatNumber: " FR1 " })).toEqual({
+        country: "FR",
+        vatNumber: "FR1"
+      });
+
+      await expect(
+        validation.testAsync({ country: "PT", vatNumber: "PT1" })
+      ).resolves.toBeDefined();
+      await expect(
+        validation.testAsync({ country: "PT", vatNumber: "1" })
+      ).rejects.toMatchObject({
+        cause: [{ target: "vatNumber", rule: { name: "when" } }]
+      });
+    });
+
+    it("should work asynchronously", async () => {
+      v8n.extend({ asyncRule });
+
+      const validation = v8n().when(
+        v8n().asyncRule(["admin", "root"]),
+        v8n().asyncRule(["root"]),
+        v8n().minLength(3)
+      );
+
+      await expect(validation.testAsync("root")).resolves.toBe("root");
+      await expect(validation.testAsync("admin")).rejects.toBeDefined();
+      await expect(validation.testAsync("luke")).resolves.toBe("luke");
+      await expect(validation.testAsync("lu")).rejects.toBeDefined();
+    });
+  });
+
+  describe("alternatives", () => {
+    const id = v8n()
+      .number()
+      .integer()
+      .positive();
+    const slug = v8n()
+      .string()
+      .pattern(/^[a-z-]+$/);
+    const short = v8n()
+      .string()
+      .maxLength(5);
+
+    test("anyOf", async () => {
+      const validation = v8n().anyOf(id, slug);
+
+      expect(validation.test(12)).toBeTruthy();
+      expect(validation.test("my-post")).toBeTruthy();
+      expect(validation.test(-1)).toBeFalsy();
+      expect(validation.test("My Post")).toBeFalsy();
+      expect(() => validation.check("my-post")).not.toThrow();
+      expect(validation.testAll(-1)).toHaveLength(1);
+      await expect(validation.testAsync(12)).resolves.toBe(12);
+      await expect(validation.testAsync(-1)).rejects.toBeDefined();
+    });
+
+    test("oneOf", () => {
+      const validation = v8n().oneOf(slug, short);
+
+      expect(validation.test("a-long-slug")).toBeTruthy();
+      expect(validation.test("A B")).toBeTruthy();
+      expect(validation.test("slug")).toBeFalsy();
+      expect(validation.test("A LONG TEXT")).toBeFalsy();
+    });
+
+    test("allOf", () => {
+      const validation = v8n().allOf(slug, short);
+
+      expect(validation.test("slug")).toBeTruthy();
+      expect(validation.test("a-long-slug")).toBeFalsy();
+      expect(validation.test("A B")).toBeFalsy();
+    });
+
+    it("should list the failures of every alternative", async () => {
+      const validation = v8n().anyOf(id, slug);
+
+      expect.assertions(3);
+      try {
+        validation.check("My Post");
+      } catch (ex) {
+        expect(ex.message).toBe("must match at least one of the alternatives");
+        expect(ex.cause).toMatchObject([
+          { rule: { name: "number" } },
+          { rule: { name: "pattern" } }
+        ]);
+      }
+
+      await expect(validation.testAsync(-3)).rejects.toMatchObject({
+        cause: [{ rule: { name: "positive" } }, { rule: { name: "string" } }]
+      });
+    });
+
+    it("should work with asynchronous alternatives", async () => {
+      v8n.extend({ asyncRule });
+
+      const validation = v8n().anyOf(
+        v8n().asyncRule(["admin"]),
+        v8n()
+          .number()
+          .positive()
+      );
+
+      await expect(validation.testAsync("admin")).resolves.toBe("admin");
+      await expect(validation.testAsync(1)).resolves.toBe(1);
+      await expect(validation.testAsync("root")).rejects.toBeDefined();
+    });
+
+    it("should parse the value with the matching alternative", () => {
+      const validation = v8n().anyOf(
+        id,
+        v8n()
+          .trim()
+          .toLowerCase()
+          .string()
+      );
+
+      expect(validation.parse(12)).toBe(12);
+      expect(validation.parse(" My-Post ")).toBe("my-post");
+    });
+
+    it("should be inverted by the 'not' modifier", () => {
+      const validation = v8n().not.anyOf(id, slug);
+
+      expect(validation.test(-1)).toBeTruthy();
+      expect(validation.test(1)).toBeFalsy();
+      expect(() => validation.check(-1)).not.toThrow();
+      expect(() => validation.check("")).not.toThrow();
+      expect(() => validation.check("slug")).toThrow();
+    });
+  });
+
+  describe("schema with unknown keys", () => {
+    const shape = {
+      name: v8n().string(),
+      age: v8n()
+        .optional()
+        .number()
+    };
+    const value = { name: "Luke", admin: true, role: "jedi" };
+
+    it("should allow unknown keys by default", () => {
+      expect(
+        v8n()
+          .schema(shape)
+          .test(value)
+      ).toBeTruthy();
+      expect(
+        v8n()
+          .schema(shape, { unknown: "allow" })
+          .parse(value)
+      ).toEqual(value);
+    });
+
+    it("should reject each unknown key", async () => {
+      const validation = v8n().schema(shape, { unknown: "reject" });
+
+      expect(validation.test({ name: "Luke", age: 19 })).toBeTruthy();
+      expect(validation.test(value)).toBeFalsy();
+
+      const [ex] = validation.testAll(value);
+      expect(ex.cause).toMatchObject([
+        { target: "admin", path: ["admin"], value: true },
+        { target: "role", path: ["role"], value: "jedi" }
+      ]);
+      expect(ex.cause[0].rule.name).toBe("unknownKey");
+      expect(ex.cause[0].message).toBe("is not allowed");
+
+      await expect(validation.testAsync(value)).rejects.toMatchObject({
+        cause: [{ target: "admin" }, { target: "role" }]
+      });
+    });
+
+    it("should strip unknown keys", async () => {
+      const validation = v8n().schema(shape, { unknown: "strip" });
+
+      expect(validation.test(value)).toBeTruthy();
+      expect(validation.parse(value)).toEqual({ name: "Luke" });
+      await expect(validation.testAsync(value)).resolves.toEqual({
+        name: "Luke"
+      });
+      expect(value.admin).toBe(true);
+    });
+
+    it("should strip unknown __proto__ keys", () => {
+      const validation = v8n().schema(shape, { unknown: "strip" });
+      const payload = JSON.parse(
+        '{"name":"Luke","__proto__":{"isAdmin":true}}'
+      );
+
+      const parsed = validation.parse(payload);
+      expect(parsed).toEqual({ name: "Luke" });
+      expect(parsed.isAdmin).toBeUndefined();
+      expect(Object.getPrototypeOf(parsed)).toBe(Object.prototype);
+      expect(validation.validate(payload).value.isAdmin).toBeUndefined();
+    });
+
+    it("should keep __proto__ keys as own properties", () => {
+      const parsed = v8n()
+        .schema(shape)
+        .parse(JSON.parse('{"name":"Luke","__proto__":{"isAdmin":true}}'));
+
+      expect(parsed.isAdmin).toBeUndefined();
+      expect(Object.getPrototypeOf(parsed)).toBe(Object.prototype);
+      expect(Object.keys(parsed)).toEqual(["name", "__proto__"]);
+    });
+
+    it("should not accept other modes", () => {
+      expect(() => v8n().schema(shape, { unknown: "ignore" })).toThrow();
+    });
+  });
+
+  describe("schema with asynchronous rules", () => {
+    beforeEach(() => {
+      v8n.extend({ asyncRule });
+    });
+
+    function userValidation() {
+      return v8n().schema({
+        username: v8n()
+          .string()
+          .asyncRule(["luke", "leia"]),
+        profile: v8n().schema({
+          planet: v8n().asyncRule(["Tatooine"])
+        })
+      });
+    }
+
+    it("should await the nested validations", async () => {
+      const validation = userValidation();
+
+      await expect(
+        validation.testAsync({
+          username: "luke",
+          profile: { planet: "Tatooine" }
+        })
+      ).resolves.toEqual({ username: "luke", profile: { planet: "Tatooine" } });
+
+      expect.assertions(4);
+      try {
+        await validation.testAsync({
+          username: "han",
+          profile: { planet: "Corellia" }
+        });
+      } catch (ex) {
+        expect(ex.rule.name).toBe("schema");
+        expect(ex.cause).toMatchObject([
+          { target: "username", value: "han", rule: { name: "asyncRule" } },
+          { target: "profile", rule: { name: "schema" } }
+        ]);
+        expect(ex.flatten().map(it => it.path)).toEqual([
+          ["username"],
+          ["profile", "planet"]
+        ]);
+      }
+    });
+
+    it("should be collected by testAllAsync", async () => {
+      const result = await userValidation().testAllAsync({
+        username: "luke",
+        profile: { planet: "Corellia" }
+      });
+
+      expect(result).toHaveLength(1);
+      expect(result[0].flatten()).toMatchObject([
+        { path: ["profile", "planet"], value: "Corellia" }
+      ]);
+    });
+
+    it("should work with modifiers", async () => {
+      const validation = v8n().not.schema({
+        username: v8n().asyncRule(["luke"])
+      });
+
+      await expect(validation.testAsync({ username: "han" })).resolves.toEqual({
+        username: "han"
+      });
+      await expect(
+        validation.testAsync({ username: "luke" })
+      ).rejects.toBeDefined();
+    });
+  });
+
+  test("schema", () => {
+    const is = v8n().schema({
+      one: v8n()
+        .string()
+        .minLength(3),
+      two: v8n()
+        .number()
+        .between(5, 10)
+    });
+
+    expect(is.test({ one: "Hello", two: 8 })).toBeTruthy();
+    expect(is.test({ one: "Hi", two: 8 })).toBeFalsy();
+    expect(is.test({ one: "Hello", two: 12 })).toBeFalsy();
+    expect(is.test({ one: 1, two: "Two" })).toBeFalsy();
+    expect(is.test({ one: "Hello" })).toBeFalsy();
+    expect(is.test({ two: 8 })).toBeFalsy();
+    expect(is.test({})).toBeFalsy();
+    expect(() => is.test({ one: "Hello", two: 8 })).not.toThrow();
+    expect(() => is.check({ one: "Hello", two: 12 })).toThrow();
+
+    try {
+      is.check({ one: "Hi", two: 12 });
+    } catch (ex) {
+      expect(ex.cause).toMatchObject([
+        { target: "one", value: "Hi", rule: { name: "minLength" } },
+        { target: "two", value: 12, rule: { name: "between" } }
+      ]);
+    }
+
+    const not = v8n().not.schema({
+      one: v8n()
+        .string()
+        .minLength(3),
+      two: v8n()
+        .number()
+        .between(5, 10)
+    });
+
+    expect(not.test({ one: "Hello", two: 8 })).toBeFalsy();
+    expect(not.test({ one: "Hi", two: 8 })).toBeTruthy();
+    expect(not.test({ one: "Hello", two: 12 })).toBeTruthy();
+    expect(not.test({ one: 1, two: "Two" })).toBeTruthy();
+    expect(not.test({ one: "Hello" })).toBeTruthy();
+    expect(not.test({ two: 8 })).toBeTruthy();
+    expect(not.test({})).toBeTruthy();
+  });
+});
+
+describe("transforms", () => {
+  it("should be chained with rules", () => {
+    const validation = v8n()
+      .string()
+      .trim()
+      .minLength(3);
+
+    expect(debugRules(validation)).toEqual([
+      "string()",
+      "trim()",
+      "minLength(3)"
+    ]);
+  });
+
+  it("should transform the value for the following rules", () => {
+    const validation = v8n()
+      .string()
+      .trim()
+      .toLowerCase()
+      .lowercase()
+      .length(3, 5);
+
+    expect(validation.test("  HeLLo ")).toBeTruthy();
+    expect(validation.test("  Hi ")).toBeFalsy();
+    expect(validation.testAll("  Hi ")).toMatchObject([
+      { rule: { name: "length" }, value: "hi" }
+    ]);
+    expect(() => validation.check(" HELLO ")).not.toThrow();
+    expect(() => validation.check(" HELLO WORLD ")).toThrow();
+  });
+
+  it("should be returned by the 'parse' function", () => {
+    const validation = v8n()
+      .trim()
+      .toNumber()
+      .number()
+      .between(1, 10);
+
+    expect(validation.parse(" 5 ")).toBe(5);
+    expect(() => validation.parse("five")).toThrow(ValidationException);
+    expect(() => validation.parse("50")).toThrow(ValidationException);
+  });
+
+  test("toNumber", () => {
+    const validation = v8n().toNumber();
+    expect(validation.parse("12.5")).toBe(12.5);
+    expect(validation.parse(3)).toBe(3);
+    expect(validation.parse("abc")).toBe("abc");
+    expect(validation.parse("")).toBe("");
+    expect(validation.parse(null)).toBe(null);
+  });
+
+  test("toUpperCase", () => {
+    const validation = v8n().toUpperCase();
+    expect(validation.parse("abc")).toBe("ABC");
+    expect(validation.parse(1)).toBe(1);
+  });
+
+  test("default", () => {
+    const validation = v8n()
+      .default(10)
+      .number();
+
+    expect(validation.parse(undefined)).toBe(10);
+    expect(validation.parse(5)).toBe(5);
+    expect(validation.test()).toBeTruthy();
+    expect(validation.test(null)).toBeFalsy();
+  });
+
+  test("transform", () => {
+    const validation = v8n()
+      .transform(value => value.split(","))
+      .array()
+      .length(3);
+
+    expect(validation.parse("a,b,c")).toEqual(["a", "b", "c"]);
+    expect(validation.test("a,b")).toBeFalsy();
+  });
+
+  it("should fail when a transform throws", () => {
+    const validation = v8n()
+      .transform(value => value.split(","))
+      .length(3);
+
+    expect(validation.test(10)).toBeFalsy();
+    expect(validation.testAll(10)).toMatchObject([
+      { rule: { name: "transform" }, value: 10 }
+    ]);
+    try {
+      validation.check(10);
+    } catch (ex) {
+      expect(ex.rule.name).toBe("transform");
+      expect(ex.cause).toBeInstanceOf(TypeError);
+    }
+    expect.assertions(4);
+  });
+
+  it("should resolve testAsync with the transformed value", async () => {
+    v8n.extend({ asyncRule });
+
+    const validation = v8n()
+      .trim()
+      .asyncRule(["a", "b"])
+      .transform(value => Promise.resolve(value.toUpperCase()));
+
+    await expect(validation.testAsync(" a ")).resolves.toBe("A");
+    await expect(validation.testAsync(" c ")).rejects.toMatchObject({
+      rule: { name: "asyncRule" },
+      value: "c"
+    });
+  });
+
+  it("should parse a schema into its cleaned form", async () => {
+    const validation = v8n().schema({
+      name: v8n()
+        .string()
+        .trim()
+        .minLength(1),
+      age: v8n()
+        .toNumber()
+        .integer(),
+      tags: v8n()
+        .default([])
+        .array(),
+      address: v8n().schema({
+        zip: v8n()
+          .trim()
+          .toUpperCase()
+      })
+    });
+
+    const value = {
+      name: " Luke ",
+      age: "19",
+      address: { zip: " ab12 " },
+      extra: true
+    };
+    const expected = {
+      name: "Luke",
+      age: 19,
+      tags: [],
+      address: { zip: "AB12" },
+      extra: true
+    };
+
+    expect(validation.parse(value)).toEqual(expected);
+    await expect(validation.testAsync(value)).resolves.toEqual(expected);
+    expect(value.name).toBe(" Luke ");
+    expect(() => validation.parse({ name: " ", age: "19" })).toThrow();
+  });
+});
+
+describe("optional and nullable values", () => {
+  const optional = v8n()
+    .optional()
+    .string()
+    .length(3, 5);
+
+  const nullable = v8n()
+    .string()
+    .length(3, 5)
+    .nullable();
+
+  it("should skip the chain for absent values", async () => {
+    expect(optional.test(undefined)).toBeTruthy();
+    expect(optional.testAll(undefined)).toEqual([]);
+    expect(() => optional.check(undefined)).not.toThrow();
+    expect(optional.parse(undefined)).toBeUndefined();
+    await expect(optional.testAsync(undefined)).resolves.toBeUndefined();
+
+    expect(nullable.test(null)).toBeTruthy();
+    expect(nullable.testAll(null)).toEqual([]);
+    expect(() => nullable.check(null)).not.toThrow();
+    expect(nullable.parse(null)).toBeNull();
+    await expect(nullable.testAsync(null)).resolves.toBeNull();
+  });
+
+  it("should validate present values", async () => {
+    expect(optional.test("abcd")).toBeTruthy();
+    expect(optional.test("ab")).toBeFalsy();
+    expect(optional.test(null)).toBeFalsy();
+    expect(optional.testAll(null)).toHaveLength(2);
+    expect(() => optional.check("ab")).toThrow();
+    await expect(optional.testAsync("ab")).rejects.toBeDefined();
+
+    expect(nullable.test("abcd")).toBeTruthy();
+    expect(nullable.test(undefined)).toBeFalsy();
+    expect(() => nullable.check(undefined)).toThrow();
+  });
+
+  it("should be combined", () => {
+    const validation = v8n()
+      .optional()
+      .nullable()
+      .number();
+
+    expect(validation.test(undefined)).toBeTruthy();
+    expect(validation.test(null)).toBeTruthy();
+    expect(validation.test(1)).toBeTruthy();
+    expect(validation.test("1")).toBeFalsy();
+  });
+
+  it("should keep the validation immutable", () => {
+    const base = v8n().string();
+    expect(base.optional().test(undefined)).toBeTruthy();
+    expect(base.test(undefined)).toBeFalsy();
+    expect(
+      base
+        .optional()
+        .minLength(2)
+        .test(undefined)
+    ).toBeTruthy();
+  });
+
+  it("should allow missing keys in a schema", () => {
+    const validation = v8n().schema({
+      name: v8n().string(),
+      nickname: optional
+    });
+
+    expect(validation.test({ name: "Luke" })).toBeTruthy();
+    expect(validation.test({ name: "Luke", nickname: "Sky" })).toBeTruthy();
+    expect(validation.test({ name: "Luke", nickname: "S" })).toBeFalsy();
+    expect(validation.test({ nickname: "Sky" })).toBeFalsy();
+    expect(validation.parse({ name: "Luke" })).toEqual({ name: "Luke" });
+  });
+});
+
+describe("nested failures", () => {
+  const validation = v8n().schema({
+    name: v8n().string(),
+    address: v8n().schema({
+      city: v8n().string(),
+      location: v8n().schema({
+        zip: v8n().number()
+      })
+    })
+  });
+
+  const invalid = {
+    name: 1,
+    address: { city: "Rome", location: { zip: "00100" } }
+  };
+
+  it("should keep the nested causes as a tree with full paths", () => {
+    expect.assertions(4);
+    try {
+      validation.check(invalid);
+    } catch (ex) {
+      expect(ex.path).toEqual([]);
+      expect(ex.cause).toMatchObject([
+        { target: "name", path: ["name"], rule: { name: "string" } },
+        { target: "address", path: ["address"], rule: { name: "schema" } }
+      ]);
+      expect(ex.cause[1].cause).toMatchObject([
+        {
+          target: "location",
+          path: ["address", "location"],
+          rule: { name: "schema" }
+        }
+      ]);
+      expect(ex.cause[1].cause[0].cause).toMatchObject([
+        {
+          target: "zip",
+          path: ["address", "location", "zip"],
+          value: "00100",
+          rule: { name: "number" }
+        }
+      ]);
+    }
+  });
+
+  it("should flatten the tree into the failed leaves", () => {
+    expect.assertions(2);
+    try {
+      validation.check(invalid);
+    } catch (ex) {
+      expect(ex).toBeInstanceOf(ValidationException);
+      expect(ex.flatten().map(it => it.path)).toEqual([
+        ["name"],
+        ["address", "location", "zip"]
+      ]);
+    }
+  });
+
+  it("should keep the nested causes in testAll", () => {
+    const [ex] = validation.testAll(invalid);
+    expect(ex.flatten().map(it => it.path)).toEqual([
+      ["name"],
+      ["address", "location", "zip"]
+    ]);
+  });
+
+  it("should keep the nested causes in testAsync", async () => {
+    expect.assertions(1);
+    try {
+      await validation.testAsync(invalid);
+    } catch (ex) {
+      expect(ex.flatten().map(it => it.path)).toEqual([
+        ["name"],
+        ["address", "location", "zip"]
+      ]);
+    }
+  });
+
+  it("should flatten a failure without nested causes into itself", () => {
+    const [ex] = v8n()
+      .string()
+      .testAll(1);
+    expect(ex.flatten()).toEqual([ex]);
+  });
+});
+
+describe("error reports", () => {
+  const validation = v8n().schema({
+    name: v8n()
+      .string()
+      .minLength(2),
+    address: v8n().schema({
+      zip: v8n()
+        .number()
+        .not.negative()
+    }),
+    tags: v8n().arrayOf(v8n().pattern(/^[a-z]+$/))
+  });
+  const value = { name: 1, address: { zip: -1 }, tags: ["a", "B"] };
+
+  it("should serialize exceptions", () => {
+    const [ex] = validation.testAll(value);
+    const json = JSON.parse(JSON.stringify(ex));
+
+    expect(json).toMatchObject({
+      rule: "schema",
+      modifiers: [],
+      path: [],
+      message: "must match the schema",
+      value
+    });
+    expect(json.args).toEqual([null]);
+    expect(json.causes).toEqual([
+      {
+        rule: "string",
+        modifiers: [],
+        args: [],
+        path: ["name"],
+        message: "must be a string",
+        value: 1
+      },
+      {
+        rule: "schema",
+        modifiers: [],
+        args: [null],
+        path: ["address"],
+        message: "must match the schema",
+        value: { zip: -1 },
+        causes: [
+          {
+            rule: "negative",
+            modifiers: ["not"],
+            args: [],
+            path: ["address", "zip"],
+            message: "must not be negative",
+            value: -1
+          }
+        ]
+      },
+      {
+        rule: "arrayOf",
+        modifiers: [],
+        args: [null],
+        path: ["tags"],
+        message: "must be an array of valid items",
+        value: ["a", "B"],
+        causes: [
+          {
+            rule: "pattern",
+            modifiers: [],
+            args: ["/^[a-z]+$/"],
+            path: ["tags", 1],
+            message: "must match the pattern /^[a-z]+$/",
+            value: "B"
+          }
+        ]
+      }
+    ]);
+  });
+
+  it("should map paths to messages", () => {
+    const expected = {
+      name: ["must be a string"],
+      "address.zip": ["must not be negative"],
+      "tags.1": ["must match the pattern /^[a-z]+$/"]
+    };
+
+    expect(v8n.errorMessages(validation.testAll(value))).toEqual(expected);
+    expect(v8n.errorMessages(validation.validate(value).errors)).toEqual(
+      expected
+    );
+    try {
+      validation.check(value);
+    } catch (ex) {
+      expect(v8n.errorMessages(ex)).toEqual(expected);
+    }
+  });
+
+  it("should map failures of the value itself to an empty path", () => {
+    expect(
+      v8n.errorMessages(
+        v8n()
+          .string()
+          .testAll(1)
+      )
+    ).toEqual({ "": ["must be a string"] });
+    expect(v8n.errorMessages([])).toEqual({});
+  });
+});
+
+describe("references", () => {
+  it("should compare with sibling fields", () => {
+    const validation = v8n().schema({
+      password: v8n()
+        .string()
+        .minLength(6),
+      passwordConfirm: v8n().exact(v8n.ref("password"))
+    });
+
+    expect(
+      validation.test({ password: "secret", passwordConfirm: "secret" })
+    ).toBeTruthy();
+    expect(
+      validation.test({ password: "secret", passwordConfirm: "secrets" })
+    ).toBeFalsy();
+    expect(
+      validation.testAll({ password: "secret", passwordConfirm: "" })[0].cause
+    ).toMatchObject([
+      {
+        target: "passwordConfirm",
+        rule: { name: "exact" },
+        message: "must be exactly password"
+      }
+    ]);
+  });
+
+  it("should be used in ranges", async () => {
+    const validation = v8n().schema({
+      min: v8n().number(),
+      max: v8n().greaterThanOrEqual(v8n.ref("min")),
+      value: v8n().between(v8n.ref("min"), v8n.ref("max")),
+      other: v8n().not.equal(v8n.ref("value"))
+    });
+
+    expect(
+      validation.test({ min: 1, max: 5, value: 3, other: 1 })
+    ).toBeTruthy();
+    expect(validation.test({ min: 1, max: 5, value: 6, other: 1 })).toBeFalsy();
+    expect(validation.test({ min: 5, max: 1, value: 3, other: 1 })).toBeFalsy();
+    expect(validation.test({ min: 1, max: 5, value: 3, other: 3 })).toBeFalsy();
+
+    await expect(
+      validation.testAsync({ min: 1, max: 5, value: 3, other: 1 })
+    ).resolves.toBeDefined();
+    await expect(
+      validation.testAsync({ min: 1, max: 5, value: 9, other: 1 })
+    ).rejects.toMatchObject({ cause: [{ target: "value" }] });
+  });
+
+  it("should resolve nested paths from the root object", () => {
+    const validation = v8n().schema({
+      limits: v8n().schema({
+        max: v8n().number()
+      }),
+      items: v8n().arrayOf(v8n().lessThanOrEqual(v8n.ref("/limits.max"))),
+      period: v8n().schema({
+        start: v8n().number(),
+        end: v8n().greaterThan(v8n.ref("start"))
+      })
+    });
+
+    const value = {
+      limits: { max: 10 },
+      items: [1, 10],
+      period: { start: 1, end: 2 }
+    };
+
+    expect(validation.test(value)).toBeTruthy();
+    expect(
+      validation.test(Object.assign({}, value, { items: [1, 11] }))
+    ).toBeFalsy();
+    expect(
+      validation.test(
+        Object.assign({}, value, { period: { start: 2, end: 2 } })
+      )
+    ).toBeFalsy();
+  });
+
+  it("should be undefined outside of a schema", () => {
+    const validation = v8n().exact(v8n.ref("password"));
+    expect(validation.test(undefined)).toBeTruthy();
+    expect(validation.test("secret")).toBeFalsy();
+  });
+});
+
+describe("JSON Schema export", () => {
+  it("should convert types, lengths, ranges and patterns", () => {
+    const schema = v8n.toJSONSchema(
+      v8n()
+        .string()
+        .minLength(2)
+        .maxLength(10)
+        .pattern(/^[a-z]+$/)
+    );
+
+    expect(schema).toEqual({
+      $schema: "http://json-schema.org/draft-07/schema#",
+      type: "string",
+      minLength: 2,
+      minItems: 2,
+      maxLength: 10,
+      maxItems: 10,
+      pattern: "^[a-z]+$"
+    });
+    expect(
+      v8n.toJSONSchema(
+        v8n()
+          .integer()
+          .between(1, 5)
+          .even()
+      )
+    ).toMatchObject({ type: "integer", minimum: 1, maximum: 5, multipleOf: 2 });
+    expect(v8n.toJSONSchema(v8n().greaterThan(3))).toMatchObject({
+      minimum: 4
+    });
+  });
+
+  it("should convert nested validations", () => {
+    const schema = v8n.toJSONSchema(
+      v8n().schema(
+        {
+          name: v8n().string(),
+          nickname: v8n()
+            .string()
+            .optional(),
+          tags: v8n().arrayOf(v8n().string(), { max: 3 }),
+          point: v8n().tuple([v8n().number(), v8n().number()]),
+          scores: v8n().record(v8n().lowercase(), v8n().number()),
+          id: v8n().anyOf(v8n().string(), v8n().integer())
+        },
+        { unknown: "reject" }
+      )
+    );
+
+    expect(schema).toEqual({
+      $schema: "http://json-schema.org/draft-07/schema#",
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        nickname: { type: "string" },
+        tags: { type: "array", items: { type: "string" }, maxItems: 3 },
+        point: {
+          type: "array",
+          items: [{ type: "number" }, { type: "number" }],
+          minItems: 2,
+          maxItems: 2,
+          additionalItems: false
+        },
+        scores: {
+          type: "object",
+          propertyNames: { pattern: "^([a-z]+\\s*)+$" },
+          additionalProperties: { type: "number" }
+        },
+        id: { anyOf: [{ type: "string" }, { type: "integer" }] }
+      },
+      required: ["name", "tags", "point", "scores", "id"],
+      additionalProperties: false
+    });
+  });
+
+  it("should convert modifiers, nullable values and defaults", () => {
+    expect(
+      v8n.toJSONSchema(
+        v8n()
+          .array()
+          .every.not.string()
+      )
+    ).toMatchObject({ type: "array", items: { not: { type: "string" } } });
+    expect(
+      v8n.toJSONSchema(
+        v8n()
+          .default(0)
+          .number()
+          .nullable()
+      )
+    ).toMatchObject({
+      anyOf: [{ type: "null" }, { default: 0, type: "number" }]
+    });
+  });
+
+  it("should report modifiers on values not known to be arrays", () => {
+    expect(() =>
+      v8n.toJSONSchema(
+        v8n()
+          .string()
+          .every.vowel()
+      )
+    ).toThrow("Rules without a JSON Schema equivalent: vowel at #");
+    expect(() => v8n.toJSONSchema(v8n().some.number())).toThrow(
+      "Rules without a JSON Schema equivalent: number at #"
+    );
+    expect(
+      v8n.toJSONSchema(
+        v8n()
+          .arrayOf(v8n().string())
+          .some.exact("a")
+      )
+    ).toMatchObject({ type: "array", contains: { const: "a" } });
+  });
+
+  it("should keep conflicting keywords", () => {
+    expect(
+      v8n.toJSONSchema(
+        v8n()
+          .number()
+          .integer()
+      )
+    ).toMatchObject({ type: "number", allOf: [{ type: "integer" }] });
+  });
+
+  it("should keep __proto__ properties", () => {
+    const schema = v8n.toJSONSchema(
+      v8n().schema(
+        Object.defineProperty({}, "__proto__", {
+          value: v8n().string(),
+          enumerable: true
+        })
+      )
+    );
+
+    expect(JSON.stringify(schema)).toBe(
+      '{"$schema":"http://json-schema.org/draft-07/schema#","type":"object",' +
+        '"properties":{"__proto__":{"type":"string"}},"required":["__proto__"]}'
+    );
+  });
+
+  it("should report rules without an equivalent", () => {
+    v8n.extend({ myRule: () => () => true });
+    const validation = v8n().schema({
+      address: v8n().schema({
+        zip: v8n()
+          .string()
+          .myRule()
+      }),
+      name: v8n()
+        .trim()
+        .pattern(/^a/i)
+    });
+
+    expect(() => v8n.toJSONSchema(validation)).toThrow(
+      "Rules without a JSON Schema equivalent: " +
+        "myRule at #/properties/address/properties/zip, " +
+        "trim at #/properties/name, pattern at #/properties/name"
+    );
+    try {
+      v8n.toJSONSchema(validation);
+    } catch (ex) {
+      expect(ex.unsupported).toEqual([
+        { rule: "myRule", location: "#/properties/address/properties/zip" },
+        { rule: "trim", location: "#/properties/name" },
+        { rule: "pattern", location: "#/properties/name" }
+      ]);
+    }
+    expect(v8n.toJSONSchema(validation, { strict: false }).properties).toEqual({
+      address: {
+        type: "object",
+        properties: { zip: { type: "string" } },
+        required: ["zip"]
+      },
+      name: {}
+    });
+  });
+
+  it("should report references", () => {
+    expect(() =>
+      v8n.toJSONSchema(
+        v8n().schema({
+          min: v8n().number(),
+          max: v8n().greaterThan(v8n.ref("min"))
+        })
+      )
+    ).toThrow("greaterThan at #/properties/max");
+  });
+});
+
+describe("JSON Schema import", () => {
+  it("should build a chain of rules", () => {
+    const validation = v8n.fromJSONSchema({
+      type: "string",
+      minLength: 2,
+      maxLength: 4,
+      pattern: "^[a-z]+$"
+    });
+
+    expect(debugRules(validation)).toEqual([
+      "string()",
+      "minLength(2)",
+      "maxLength(4)",
+      "pattern(/^[a-z]+$/)"
+    ]);
+    expect(validation.test("abc")).toBeTruthy();
+    expect(validation.test("a")).toBeFalsy();
+    expect(validation.testAll("ABCDE")).toHaveLength(2);
+    expect(() => validation.check(1)).toThrow();
+  });
+
+  it("should validate numbers, enums and constants", () => {
+    const validation = v8n.fromJSONSchema({
+      type: "integer",
+      minimum: 1,
+      exclusiveMaximum: 10
+    });
+    expect(validation.test(1)).toBeTruthy();
+    expect(validation.test(9)).toBeTruthy();
+    expect(validation.test(10)).toBeFalsy();
+    expect(validation.test(0)).toBeFalsy();
+    expect(validation.test(1.5)).toBeFalsy();
+
+    const status = v8n.fromJSONSchema({ enum: ["on", "off", null] });
+    expect(status.test("on")).toBeTruthy();
+    expect(status.test(null)).toBeTruthy();
+    expect(status.test("maybe")).toBeFalsy();
+
+    const version = v8n.fromJSONSchema({ const: 2 });
+    expect(version.test(2)).toBeTruthy();
+    expect(version.test("2")).toBeFalsy();
+  });
+
+  it("should apply type specific keywords to their types only", () => {
+    const validation = v8n.fromJSONSchema({
+      minLength: 2,
+      minimum: 5
+    });
+    expect(validation.test("ab")).toBeTruthy();
+    expect(validation.test(5)).toBeTruthy();
+    expect(validation.test(true)).toBeTruthy();
+    expect(validation.test("a")).toBeFalsy();
+    expect(validation.test(4)).toBeFalsy();
+
+    const nullable = v8n.fromJSONSchema({
+      type: ["string", "null"],
+      minLength: 1
+    });
+    expect(nullable.test(null)).toBeTruthy();
+    expect(nullable.test("a")).toBeTruthy();
+    expect(nullable.test("")).toBeFalsy();
+    expect(nullable.test(1)).toBeFalsy();
+  });
+
+  it("should build objects and arrays", () => {
+    const validation = v8n.fromJSONSchema({
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        tags: { type: "array", items: { type: "string" }, maxItems: 2 },
+        point: {
+          type: "array",
+          items: [{ type: "number" }, { type: "number" }],
+          additionalItems: false
+        },
+        scores: {
+          type: "object",
+          propertyNames: { pattern: "^[a-z]+$" },
+          additionalProperties: { type: "number" }
+        }
+      },
+      required: ["name", "id"],
+      additionalProperties: false
+    });
+    const value = {
+      id: 1,
+      name: "v8n",
+      tags: ["a", "b"],
+      point: [1, 2],
+      scores: { a: 1 }
+    };
+
+    expect(validation.test(value)).toBeTruthy();
+    expect(validation.test({ id: 1, name: "v8n" })).toBeTruthy();
+    expect(validation.test({ name: "v8n" })).toBeFalsy();
+    expect(validation.test([])).toBeFalsy();
+    expect(validation.test(null)).toBeFalsy();
+    expect(
+      validation.test(Object.assign({}, value, { other: true }))
+    ).toBeFalsy();
+    expect(
+      validation.test(Object.assign({}, value, { tags: ["a", 1] }))
+    ).toBeFalsy();
+    expect(
+      validation.test(Object.assign({}, value, { point: [1, 2, 3] }))
+    ).toBeFalsy();
+    expect(
+      validation.test(Object.assign({}, value, { scores: { A: 1 } }))
+    ).toBeFalsy();
+    expect(() =>
+      validation.check(Object.assign({}, value, { tags: ["a", 1] }))
+    ).toThrow(
+      expect.objectContaining({
+        rule: expect.objectContaining({ name: "schema" }),
+        cause: [expect.objectContaining({ target: "tags" })]
+      })
+    );
+  });
+
+  it("should combine schemas", () => {
+    const validation = v8n.fromJSONSchema({
+      anyOf: [{ type: "string" }, { type: "number", minimum: 0 }],
+      not: { const: "" },
+      if: { type: "string" },
+      then: { maxLength: 3 },
+      else: { maximum: 10 }
+    });
+    expect(validation.test("abc")).toBeTruthy();
+    expect(validation.test(10)).toBeTruthy();
+    expect(validation.test("")).toBeFalsy();
+    expect(validation.test("abcd")).toBeFalsy();
+    expect(validation.test(11)).toBeFalsy();
+    expect(validation.test(-1)).toBeFalsy();
+    expect(validation.test(true)).toBeFalsy();
+
+    const allOf = v8n.fromJSONSchema({
+      allOf: [{ minimum: 1 }, { maximum: 2 }]
+    });
+    expect(allOf.test(2)).toBeTruthy();
+    expect(allOf.test(3)).toBeFalsy();
+  });
+
+  it("should resolve references within the document", async () => {
+    const validation = v8n.fromJSONSchema({
+      definitions: {
+        node: {
+          type: "object",
+          properties: {
+            value: { type: "number" },
+            children: { type: "array", items: { $ref: "#/definitions/node" } }
+          },
+          required: ["value"]
+        }
+      },
+      $ref: "#/definitions/node"
+    });
+    const tree = { value: 1, children: [{ value: 2, children: [] }] };
+
+    expect(validation.test(tree)).toBeTruthy();
+    expect(
+      validation.test({ value: 1, children: [{ value: 2, children: [{}] }] })
+    ).toBeFalsy();
+    await expect(validation.testAsync(tree)).resolves.toEqual(tree);
+    expect(() => v8n.fromJSONSchema({ $ref: "#/definitions/none" })).toThrow(
+      "Unable to resolve the reference #/definitions/none"
+    );
+    expect(() =>
+      v8n.fromJSONSchema({ $ref: "http://example.com/schema.json" })
+    ).toThrow("Only references within the document are supported");
+  });
+
+  it("should keep __proto__ properties as own properties", () => {
+    const validation = v8n.fromJSONSchema(
+      JSON.parse(
+        '{"type":"object","properties":{"__proto__":{"type":"string"}},' +
+          '"required":["__proto__"]}'
+      )
+    );
+
+    expect(validation.test({})).toBeFalsy();
+    expect(validation.test(JSON.parse('{"__proto__": 5}'))).toBeFalsy();
+    expect(validation.test(JSON.parse('{"__proto__": "a"}'))).toBeTruthy();
+  });
+
+  it("should accept boolean schemas", () => {
+    const validation = v8n.fromJSONSchema({
+      properties: { anything: true, nothing: false }
+    });
+    expect(validation.test({ anything: 1 })).toBeTruthy();
+    expect(validation.test({ nothing: 1 })).toBeFalsy();
+  });
+
+  it("should report unsupported keywords", () => {
+    const schema = {
+      title: "User",
+      properties: {
+        email: { type: "string", format: "email" },
+        tags: { uniqueItems: true }
+      }
+    };
+    expect(() => v8n.fromJSONSchema(schema)).toThrow(
+      "JSON Schema keywords without a v8n equivalent: " +
+        "format at #/properties/email, uniqueItems at #/properties/tags"
+    );
+  });
+
+  it("should round trip exported schemas", () => {
+    const validation = v8n().schema({
+      name: v8n()
+        .string()
+        .minLength(1),
+      age: v8n()
+        .integer()
+        .between(0, 150)
+        .optional()
+    });
+    const imported = v8n.fromJSONSchema(v8n.toJSONSchema(validation));
+
+    [{ name: "a", age: 1 }, { name: "a" }, { name: "" }, { age: 1 }].forEach(
+      value => expect(imported.test(value)).toBe(validation.test(value))
+    );
+  });
+
+  it("should round trip conditions without a branch", () => {
+    expect(
+      v8n.toJSONSchema(
+        v8n.fromJSONSchema({ if: { type: "string" }, else: { type: "number" } })
+      )
+    ).toEqual({
+      $schema: "http://json-schema.org/draft-07/schema#",
+      if: { type: "string" },
+      else: { type: "number" }
+    });
+  });
+});
+
+describe("serialization", () => {
+  function roundTrip(validation) {
+    return v8n.fromJSON(JSON.stringify(validation));
+  }
+
+  it("should serialize rules, arguments and modifiers", () => {
+    const validation = v8n()
+      .string()
+      .not.every.lowercase()
+      .pattern(/^[a-z]+$/i)
+      .length(3, 5)
+      .withMessage("must have 3 to 5 letters");
+
+    expect(validation.toJSON()).toEqual({
+      $type: "validation",
+      chain: [
+        { name: "string", args: [], modifiers: [] },
+        { name: "lowercase", args: [], modifiers: ["not", "every"] },
+        {
+          name: "pattern",
+          args: [{ $type: "regexp", source: "^[a-z]+$", flags: "i" }],
+          modifiers: []
+        },
+        {
+          name: "length",
+          args: [3, 5],
+          modifiers: [],
+          message: "must have 3 to 5 letters"
+        }
+      ],
+      options: {}
+    });
+
+    const rebuilt = roundTrip(validation);
+    expect(debugRules(rebuilt)).toEqual(debugRules(validation));
+    ["abc", "ABC", "Abc", "abcdef", 1].forEach(value =>
+      expect(rebuilt.test(value)).toBe(validation.test(value))
+    );
+    expect(rebuilt.testAll("Abcdef")[0].message).toBe(
+      "must have 3 to 5 letters"
+    );
+  });
+
+  it("should serialize nested validations, references and options", () => {
+    const validation = v8n()
+      .schema(
+        {
+          password: v8n().string(),
+          confirm: v8n().exact(v8n.ref("password")),
+          tags: v8n()
+            .arrayOf(v8n().string(), { max: 2 })
+            .optional(),
+          point: v8n().tuple([v8n().number(), v8n().number()]),
+          id: v8n().anyOf(v8n().string(), v8n().integer())
+        },
+        { unknown: "reject" }
+      )
+      .nullable();
+    const rebuilt = roundTrip(validation);
+    const value = { password: "a", confirm: "a", point: [1, 2], id: 1 };
+
+    expect(rebuilt.test(value)).toBeTruthy();
+    expect(rebuilt.test(null)).toBeTruthy();
+    [
+      { confirm: "b" },
+      { tags: ["a", "b", "c"] },
+      { point: [1] },
+      { id: 1.5 },
+      { other: true }
+    ].forEach(change =>
+      expect(rebuilt.test(Object.assign({}, value, change))).toBeFalsy()
+    );
+  });
+
+  it("should keep __proto__ keys as own properties", () => {
+    const validation = v8n().schema(
+      Object.defineProperty({}, "__proto__", {
+        value: v8n().string(),
+        enumerable: true
+      })
+    );
+    const json = JSON.stringify(validation);
+    const payload = JSON.parse('{"__proto__": 5}');
+
+    expect(JSON.parse(json).chain[0].args[0]).toHaveProperty("__proto__");
+    expect(validation.test(payload)).toBeFalsy();
+    expect(v8n.fromJSON(json).test(payload)).toBeFalsy();
+    expect(v8n.fromJSON(json).test(JSON.parse('{"__proto__": "a"}'))).toBe(
+      true
+    );
+  });
+
+  it("should serialize transforms", () => {
+    const rebuilt = roundTrip(
+      v8n()
+        .default(undefined)
+        .trim()
+        .minLength(1)
+    );
+    expect(rebuilt.parse(" a ")).toBe("a");
+    expect(rebuilt.test(" ")).toBeFalsy();
+  });
+
+  it("should rebuild custom rules", () => {
+    v8n.extend({ myRule: expected => value => value === expected });
+    const json = JSON.stringify(v8n().myRule("a"));
+
+    expect(v8n.fromJSON(json).test("a")).toBeTruthy();
+    expect(v8n.fromJSON(json).test("b")).toBeFalsy();
+    v8n.clearCustomRules();
+    expect(() => v8n.fromJSON(json)).toThrow('Unknown rule "myRule"');
+  });
+
+  it("should fail for unknown rules and modifiers", () => {
+    expect(() => v8n.fromJSON({ chain: [{ name: "test", args: [] }] })).toThrow(
+      'Unknown rule "test"'
+    );
+    expect(() =>
+      v8n.fromJSON({
+        chain: [{ name: "string", args: [], modifiers: ["never"] }]
+      })
+    ).toThrow('Unknown modifier "never"');
+  });
+
+  it("should fail for functions", () => {
+    expect(() => JSON.stringify(v8n().transform(value => value))).toThrow(
+      "The transform rule cannot be serialized because of a function argument"
+    );
+    expect(() =>
+      JSON.stringify(
+        v8n()
+          .string()
+          .withMessage(() => "fails")
+      )
+    ).toThrow("The message of the string rule cannot be serialized");
+  });
+});
+
+describe("instances", () => {
+  it("should have their own custom rules", () => {
+    const first = v8n.create();
+    const second = v8n.create();
+    first.extend({ myRule: () => value => value === "first" });
+    second.extend({ myRule: () => value => value === "second" });
+
+    expect(
+      first()
+        .myRule()
+        .test("first")
+    ).toBeTruthy();
+    expect(
+      first()
+        .myRule()
+        .test("second")
+    ).toBeFalsy();
+    expect(
+      second()
+        .myRule()
+        .test("second")
+    ).toBeTruthy();
+    expect(v8n().myRule).toBeUndefined();
+  });
+
+  it("should not be affected by the default instance", () => {
+    const instance = v8n.create();
+    instance.extend({ myRule: () => value => value === 1 });
+    v8n.extend({ otherRule: () => () => true });
+    v8n.clearCustomRules();
+
+    expect(instance().otherRule).toBeUndefined();
+    expect(
+      instance()
+        .myRule()
+        .test(1)
+    ).toBeTruthy();
+    instance.clearCustomRules();
+    expect(instance().myRule).toBeUndefined();
+  });
+
+  it("should inherit the built-in rules", () => {
+    const instance = v8n.create();
+    const validation = instance().schema({
+      name: instance()
+        .trim()
+        .string()
+        .not.empty(),
+      tags: instance().arrayOf(instance().string())
+    });
+
+    expect(validation.test({ name: "a", tags: ["b"] })).toBeTruthy();
+    expect(validation.test({ name: " ", tags: [] })).toBeFalsy();
+  });
+
+  it("should rebuild validations with their own rules", () => {
+    const instance = v8n.create();
+    instance.extend({ myRule: () => value => value === 1 });
+    const json = JSON.stringify(instance().myRule());
+
+    expect(instance.fromJSON(json).test(1)).toBeTruthy();
+    expect(() => v8n.fromJSON(json)).toThrow('Unknown rule "myRule"');
+  });
+});
+
+describe("caching", () => {
+  function countingRule(delay = 10) {
+    const calls = [];
+    const rule = () => value => {
+      calls.push(value);
+      return new Promise(resolve =>
+        setTimeout(() => resolve(value !== "taken"), delay)
+      );
+    };
+    return { rule, calls };
+  }
+
+  it("should reuse results for the same value", async () => {
+    const available = countingRule();
+    v8n.extend({ available: available.rule });
+    const validation = v8n()
+      .string()
+      .available()
+      .cache();
+
+    await expect(validation.testAsync("a")).resolves.toBe("a");
+    await expect(validation.testAsync("a")).resolves.toBe("a");
+    await expect(validation.testAsync("taken")).rejects.toBeInstanceOf(
+      ValidationException
+    );
+    await expect(validation.testAsync("taken")).rejects.toMatchObject({
+      rule: { name: "available" }
+    });
+    expect(available.calls).toEqual(["a", "taken"]);
+  });
+
+  it("should share pending results", async () => {
+    const available = countingRule();
+    v8n.extend({ available: available.rule });
+    const validation = v8n()
+      .available()
+      .cache();
+
+    await Promise.all([
+      validation.testAsync("a"),
+      validation.testAsync("a"),
+      validation.testAllAsync("a")
+    ]);
+    expect(available.calls).toEqual(["a"]);
+  });
+
+  it("should expire results", async () => {
+    const available = countingRule(0);
+    v8n.extend({ available: available.rule });
+    const validation = v8n()
+      .available()
+      .cache({ ttl: 20 });
+
+    await validation.testAsync("a");
+    await validation.testAsync("a");
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await validation.testAsync("a");
+    expect(available.calls).toEqual(["a", "a"]);
+  });
+
+  it("should keep a maximum number of results", async () => {
+    const available = countingRule(0);
+    v8n.extend({ available: available.rule });
+    const validation = v8n()
+      .available()
+      .cache({ max: 2 });
+
+    for (const value of ["a", "b", "c", "c", "b", "a"]) {
+      await validation.testAsync(value);
+    }
+    expect(available.calls).toEqual(["a", "b", "c", "a"]);
+  });
+
+  it("should not keep errors", async () => {
+    let calls = 0;
+    v8n.extend({
+      unstable: () => () => {
+        calls++;
+        return calls === 1 ? Promise.reject(new Error("Unavailable")) : true;
+      }
+    });
+    const validation = v8n()
+      .unstable()
+      .cache();
+
+    await expect(validation.testAsync("a")).rejects.toMatchObject({
+      cause: { message: "Unavailable" }
+    });
+    await expect(validation.testAsync("a")).resolves.toBe("a");
+    await expect(validation.testAsync("a")).resolves.toBe("a");
+    expect(calls).toBe(2);
+  });
+
+  it("should be invalidated", async () => {
+    const available = countingRule(0);
+    v8n.extend({ available: available.rule });
+    const email = v8n()
+      .available()
+      .cache();
+    const validation = v8n().schema({ email });
+
+    await validation.testAsync({ email: "a" });
+    await validation.testAsync({ email: "b" });
+    validation.clearCache("a");
+    await validation.testAsync({ email: "a" });
+    await validation.testAsync({ email: "b" });
+    email.clearCache();
+    await validation.testAsync({ email: "b" });
+    expect(available.calls).toEqual(["a", "b", "a", "b"]);
+  });
+
+  it("should be kept by derived validations", async () => {
+    const available = countingRule(0);
+    v8n.extend({ available: available.rule });
+    const validation = v8n()
+      .available()
+      .cache()
+      .withMessage("is not available");
+
+    await validation.testAsync("a");
+    await validation.string().testAsync("a");
+    expect(available.calls).toEqual(["a"]);
+    expect(JSON.parse(JSON.stringify(validation)).chain[0]).toMatchObject({
+      cache: {}
+    });
+  });
+
+  it("should retry pending results cancelled by another validation", async () => {
+    const calls = [];
+    v8n.extend({
+      cancellable: () => (value, { signal }) => {
+        calls.push(value);
+        return new Promise((resolve, reject) => {
+          const timer = setTimeout(() => resolve(true), 20);
+          if (signal) {
+            signal.addEventListener("abort", () => {
+              clearTimeout(timer);
+              reject(new Error("Aborted"));
+            });
+          }
+        });
+      }
+    });
+    const validation = v8n()
+      .cancellable()
+      .cache();
+    const controller = new AbortController();
+
+    const first = validation.testAsync("a", { signal: controller.signal });
+    const second = validation.testAsync("a");
+    controller.abort();
+
+    await expect(first).rejects.toBeInstanceOf(AbortException);
+    await expect(second).resolves.toBe("a");
+    await expect(validation.testAsync("a")).resolves.toBe("a");
+    expect(calls).toEqual(["a", "a"]);
+  });
+
+  it("should keep the paths of cached failures", async () => {
+    const available = countingRule(0);
+    v8n.extend({ available: available.rule });
+    const validation = v8n().schema({
+      email: v8n()
+        .allOf(v8n().string(), v8n().available())
+        .cache()
+    });
+
+    for (let i = 0; i < 2; i++) {
+      const exception = await validation
+        .testAsync({ email: "taken" })
+        .catch(ex => ex);
+      expect(exception.flatten().map(ex => ex.path)).toEqual([["email"]]);
+      await expect(
+        validation.validateAsync({ email: "taken" })
+      ).resolves.toMatchObject({
+        errors: [{ rule: "available", path: ["email"] }]
+      });
+    }
+    expect(available.calls).toEqual(["taken"]);
+  });
+
+  it("should refuse rules depending on references", () => {
+    expect(() =>
+      v8n()
+        .between(v8n.ref("min"), 10)
+        .cache()
+    ).toThrow("A cache cannot be attached to a rule depending on references");
+    expect(() =>
+      v8n()
+        .schema({ max: v8n().greaterThan(v8n.ref("min")) })
+        .cache()
+    ).toThrow("A cache cannot be attached to a rule depending on references");
+  });
+
+  it("should require a previous rule", () => {
+    expect(() => v8n().cache()).toThrow(
+      "A cache can only be attached after a rule"
+    );
+    expect(() =>
+      v8n()
+        .trim()
+        .cache()
+    ).toThrow("A cache can only be attached after a rule");
+  });
+});
+
+describe("middleware", () => {
+  function response() {
+    const res = { headers: {} };
+    res.setHeader = (name, value) => {
+      res.headers[name] = value;
+    };
+    res.end = body => {
+      res.body = JSON.parse(body);
+    };
+    return res;
+  }
+
+  const validations = {
+    body: v8n().schema({
+      name: v8n()
+        .trim()
+        .string()
+        .minLength(2),
+      address: v8n().schema({ zip: v8n().number() })
+    }),
+    params: v8n().schema({ id: v8n().pattern(/^\d+$/) })
+  };
+
+  it("should call next with valid requests", async () => {
+    const next = jest.fn();
+    const req = {
+      body: { name: " v8n ", address: { zip: 1 } },
+      params: { id: "1" }
+    };
+    const res = response();
+
+    await expect(v8n.middleware(validations)(req, res, next)).resolves.toBe(
+      true
+    );
+    expect(next).toHaveBeenCalledWith();
+    expect(req.validated).toEqual({
+      body: { name: "v8n", address: { zip: 1 } },
+      params: { id: "1" }
+    });
+    expect(res.body).toBeUndefined();
+  });
+
+  it("should respond with the failures of invalid requests", async () => {
+    const next = jest.fn();
+    const res = response();
+
+    await v8n.middleware(validations)(
+      { body: { name: "a", address: { zip: "none" } }, params: { id: "a" } },
+      res,
+      next
+    );
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+    expect(res.headers["Content-Type"]).toBe("application/json");
+    expect(res.body).toEqual({
+      errors: {
+        "body.name": ["must have a length of at least 2"],
+        "body.address.zip": ["must be a number"],
+        "params.id": ["must match the pattern /^\\d+$/"]
+      }
+    });
+  });
+
+  it("should accept a status and a format", async () => {
+    const res = response();
+    const format = jest.fn(errors => ({
+      fields: errors.map(error => error.path.join("/"))
+    }));
+    const req = { body: {}, params: { id: "1" } };
+
+    await v8n.middleware(validations, { status: 422, format })(req, res);
+    expect(res.statusCode).toBe(422);
+    expect(res.body).toEqual({ fields: ["body/name", "body/address"] });
+    expect(format.mock.calls[0][0][0]).toMatchObject({
+      part: "body",
+      rule: "string",
+      value: undefined
+    });
+    expect(format.mock.calls[0][1]).toBe(req);
+  });
+
+  it("should run asynchronous validations", async () => {
+    v8n.extend({ asyncRule });
+    const validate = v8n.middleware(
+      { body: v8n().schema({ name: v8n().asyncRule("v8n", 0) }) },
+      { async: true }
+    );
+    const next = jest.fn();
+    const res = response();
+
+    await expect(
+      validate({ body: { name: "v8n" } }, response(), next)
+    ).resolves.toBe(true);
+    await expect(validate({ body: { name: "a" } }, res, next)).resolves.toBe(
+      false
+    );
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.body).toEqual({
+      errors: { "body.name": ["must pass the asyncRule rule"] }
+    });
+  });
+
+  it("should pass cancellations to next", async () => {
+    v8n.extend({ asyncRule });
+    const next = jest.fn();
+
+    await v8n.middleware(
+      { body: v8n().asyncRule("a", 50) },
+      { async: true, timeout: 10 }
+    )({ body: "a" }, response(), next);
+    expect(next.mock.calls[0][0]).toBeInstanceOf(AbortException);
+  });
+
+  it("should leave errors of the next handlers to the caller", async () => {
+    const req = {
+      body: { name: "v8n", address: { zip: 1 } },
+      params: { id: "1" }
+    };
+    const throwing = jest.fn(error => {
+      if (!error) {
+        throw new Error("downstream boom");
+      }
+    });
+
+    expect(() =>
+      v8n.middleware(validations)(req, response(), throwing)
+    ).toThrow("downstream boom");
+    expect(throwing).toHaveBeenCalledTimes(1);
+
+    const rejecting = jest.fn(() => Promise.reject(new Error("async boom")));
+    await expect(
+      v8n.middleware(validations)(req, response(), rejecting)
+    ).rejects.toThrow("async boom");
+    await expect(
+      v8n.middleware(validations, { async: true })(req, response(), throwing)
+    ).rejects.toThrow("downstream boom");
+    expect(rejecting).toHaveBeenCalledTimes(1);
+    expect(throwing).toHaveBeenCalledTimes(2);
+  });
+
+  it("should read the query of plain requests", async () => {
+    const res = response();
+    const validate = v8n.middleware({
+      query: v8n().schema({
+        page: v8n()
+          .toNumber()
+          .integer(),
+        tag: v8n().array()
+      })
+    });
+
+    await expect(
+      validate({ url: "/items?page=2&tag=a&tag=b" }, res)
+    ).resolves.toBe(true);
+    await expect(validate({ url: "/items?page=a&tag=a" }, res)).resolves.toBe(
+      false
+    );
+    expect(res.body).toEqual({
+      errors: {
+        "query.page": ["must be an integer"],
+        "query.tag": ["must be an array"]
+      }
+    });
+  });
+
+  it("should read inherited key names as query parameters", async () => {
+    const req = { url: "/x?constructor=a&toString=b&__proto__=c&__proto__=d" };
+    const shape = {
+      constructor: v8n().string(),
+      toString: v8n().string()
+    };
+    Object.defineProperty(shape, "__proto__", {
+      value: v8n().array(),
+      enumerable: true
+    });
+    const validate = v8n.middleware({ query: v8n().schema(shape) });
+
+    await expect(validate(req, response())).resolves.toBe(true);
+    expect(Object.getPrototypeOf(req.validated.query)).toBe(Object.prototype);
+    expect(req.validated.query).toMatchObject({
+      constructor: "a",
+      toString: "b"
+    });
+    expect(
+      Object.getOwnPropertyDescriptor(req.validated.query, "__proto__").value
+    ).toEqual(["c", "d"]);
+  });
+});
+
+describe("custom rules", () => {
+  it("should be chainable", () => {
+    v8n.extend({
+      newRule: () => value => true
+    });
+
+    const validation = v8n()
+      .string()
+      .newRule()
+      .lowercase();
+
+    expect(debugRules(validation)).toEqual([
+      "string()",
+      "newRule()",
+      "lowercase()"
+    ]);
+  });
+
+  it("should be used in validation", () => {
+    v8n.extend({
+      or: (a, b) => value => value === a || value === b
+    });
+
+    const validation = v8n()
+      .string()
+      .or("one", "two");
+
+    expect(validation.test("one")).toBeTruthy();
+    expect(validation.test("two")).toBeTruthy();
+    expect(validation.test("three")).toBeFalsy();
+  });
+
+  it("should be inverted by 'not' modifier", () => {
+    v8n.extend({
+      exact: it => value => value === it
+    });
+
+    const validation = v8n()
+      .string()
+      .not.exact("hello");
+
+    expect(validation.test("hi")).toBeTruthy();
+    expect(validation.test("nice")).toBeTruthy();
+    expect(validation.test("hello")).toBeFalsy();
+  });
+
+  test("extend should be able to call multiple times", () => {
+    v8n.extend({
+      one: () => value => true
+    });
+
+    v8n.extend({
+      two: () => value => true
+    });
+
+    const validation = v8n()
+      .one()
+      .two();
+
+    expect(debugRules(validation)).toEqual(["one()", "two()"]);
+  });
+
+  describe("the 'clearCustomRules' function", () => {
+    beforeEach(() => {
+      v8n.extend({
+        asyncRule
       });
     });
 
@@ -847,6 +3464,377 @@ describe("custom rules", () => {
   });
 });
 
+describe("custom modifiers", () => {
+  afterEach(() => {
+    v8n.setLocale("en");
+  });
+
+  beforeEach(() => {
+    v8n.extendModifiers({
+      none: {
+        simple: fn => value => !value.some(fn),
+        async: fn => value =>
+          Promise.all(value.map(fn)).then(result => !result.some(Boolean))
+      },
+      atLeast: count => ({
+        simple: fn => value => value.filter(fn).length >= count,
+        async: fn => value =>
+          Promise.all(value.map(fn)).then(
+            result => result.filter(Boolean).length >= count
+          )
+      }),
+      keys: {
+        simple: fn => value => Object.keys(value).every(fn),
+        async: fn => value =>
+          Promise.all(Object.keys(value).map(fn)).then(result =>
+            result.every(Boolean)
+          )
+      }
+    });
+  });
+
+  afterEach(() => {
+    v8n.clearCustomModifiers();
+  });
+
+  it("should be chainable", () => {
+    const validation = v8n()
+      .none.string()
+      .atLeast(2)
+      .not.even();
+
+    expect(debugRules(validation)).toEqual([
+      "none.string()",
+      "atLeast.not.even()"
+    ]);
+    expect(validation.test([1, 3, 4])).toBeTruthy();
+    expect(validation.test([1, 2, 4])).toBeFalsy();
+    expect(validation.test([1, 3, "a"])).toBeFalsy();
+  });
+
+  it("should compose with nested rules", () => {
+    const validation = v8n().keys.pattern(/^[a-z]+$/);
+
+    expect(validation.test({ a: 1, b: 2 })).toBeTruthy();
+    expect(validation.test({ A: 1 })).toBeFalsy();
+    expect(
+      v8n()
+        .atLeast(1)
+        .schema({ id: v8n().number() })
+        .test([{ id: "a" }, { id: 1 }])
+    ).toBeTruthy();
+  });
+
+  it("should work with testAll and check", () => {
+    const validation = v8n()
+      .atLeast(2)
+      .positive()
+      .none.null();
+
+    expect(validation.testAll([-1, null])).toMatchObject([
+      { rule: { name: "positive" } },
+      { rule: { name: "null" } }
+    ]);
+    expect(() => validation.check([1, 2])).not.toThrow();
+    expect(() => validation.check([1])).toThrow();
+  });
+
+  it("should work with asynchronous rules", async () => {
+    v8n.extend({ asyncRule });
+    const validation = v8n()
+      .atLeast(2)
+      .asyncRule("a");
+
+    await expect(validation.testAsync(["a", "b", "a"])).resolves.toEqual([
+      "a",
+      "b",
+      "a"
+    ]);
+    await expect(validation.testAsync(["a", "b"])).rejects.toMatchObject({
+      rule: { name: "asyncRule" }
+    });
+  });
+
+  it("should render messages with their arguments", () => {
+    v8n.registerLocale("en-test", {
+      modifiers: { atLeast: "at least {0} items {message}" }
+    });
+    v8n.setLocale("en-test");
+    const validation = v8n()
+      .atLeast(2)
+      .greaterThan(3);
+
+    expect(validation.testAll([4])[0].message).toBe(
+      "at least 2 items must be greater than 3"
+    );
+  });
+
+  it("should name modifiers without a message", () => {
+    const validation = v8n()
+      .atLeast(2)
+      .string();
+
+    expect(validation.testAll(["a", 1])[0].message).toBe(
+      "atLeast: must be a string"
+    );
+    v8n.registerLocale("en-defaults", {
+      defaultModifier: "with {modifier}({0}), {message}"
+    });
+    v8n.setLocale("en-defaults");
+    expect(validation.testAll(["a", 1])[0].message).toBe(
+      "with atLeast(2), must be a string"
+    );
+  });
+
+  it("should be serialized with their arguments", () => {
+    const json = JSON.stringify(
+      v8n()
+        .atLeast(2)
+        .not.even()
+    );
+
+    expect(JSON.parse(json).chain[0].modifiers).toEqual([
+      { name: "atLeast", args: [2] },
+      "not"
+    ]);
+    expect(v8n.fromJSON(json).test([1, 3])).toBeTruthy();
+    expect(v8n.fromJSON(json).test([1, 2])).toBeFalsy();
+  });
+
+  it("should belong to their instance", () => {
+    const instance = v8n.create();
+    expect(instance().none).toBeUndefined();
+    instance.extendModifiers({ none: { simple: () => () => true } });
+    expect(
+      instance()
+        .none.string()
+        .test(["a"])
+    ).toBeTruthy();
+    expect(
+      v8n()
+        .none.string()
+        .test(["a"])
+    ).toBeFalsy();
+  });
+
+  describe("the 'clearCustomModifiers' function", () => {
+    it("should clear custom modifiers", () => {
+      expect(v8n().none).toBeDefined();
+      v8n.clearCustomModifiers();
+      expect(v8n().none).toBeUndefined();
+    });
+  });
+});
+
+describe("messages", () => {
+  afterEach(() => {
+    v8n.setLocale("en");
+  });
+
+  function messageOf(validation, value) {
+    try {
+      validation.check(value);
+    } catch (ex) {
+      return ex.message;
+    }
+  }
+
+  it("should render the message of the failed rule", () => {
+    expect(messageOf(v8n().string(), 1)).toBe("must be a string");
+    expect(messageOf(v8n().between(1, 3), 5)).toBe("must be between 1 and 3");
+    expect(
+      messageOf(
+        v8n()
+          .string()
+          .minLength(8),
+        "abc"
+      )
+    ).toBe("must have a length of at least 8");
+    expect(messageOf(v8n().minLength(3), "")).toBe(
+      "must have a length of at least 3"
+    );
+  });
+
+  it("should render messages for modified rules", () => {
+    expect(messageOf(v8n().not.string(), "a")).toBe("must not be a string");
+    expect(messageOf(v8n().some.positive(), [-1])).toBe(
+      "at least one item must be positive"
+    );
+    expect(messageOf(v8n().not.every.lowercase(), "abc")).toBe(
+      "must not satisfy: every item must be lowercase"
+    );
+  });
+
+  it("should render messages in testAll and testAsync", async () => {
+    const validation = v8n()
+      .string()
+      .maxLength(2);
+
+    expect(validation.testAll(100).map(ex => ex.message)).toEqual([
+      "must be a string",
+      "must have a length of at most 2"
+    ]);
+
+    expect.assertions(2);
+    try {
+      await validation.testAsync("abc");
+    } catch (ex) {
+      expect(ex.message).toBe("must have a length of at most 2");
+    }
+  });
+
+  it("should render messages for custom rules", () => {
+    v8n.extend({ foo: () => value => value === "foo" });
+    expect(messageOf(v8n().foo(), "bar")).toBe("must pass the foo rule");
+
+    v8n.registerLocale("en-test", {
+      rules: { foo: "must be foo, not {value}" }
+    });
+    v8n.setLocale("en-test");
+    expect(messageOf(v8n().foo(), "bar")).toBe("must be foo, not bar");
+  });
+
+  it("should switch between registered locales", () => {
+    v8n.registerLocale("pt", {
+      rules: {
+        string: "deve ser um texto",
+        minLength: {
+          one: "deve ter ao menos {0} item",
+          other: "deve ter ao menos {0} itens"
+        }
+      },
+      modifiers: { not: "não {message}" },
+      default: "deve passar na regra {rule}"
+    });
+
+    v8n.setLocale("pt");
+    expect(v8n.getLocale()).toBe("pt");
+    expect(messageOf(v8n().string(), 1)).toBe("deve ser um texto");
+    expect(messageOf(v8n().not.string(), "a")).toBe("não deve ser um texto");
+    expect(messageOf(v8n().minLength(1), "")).toBe("deve ter ao menos 1 item");
+    expect(messageOf(v8n().minLength(2), "")).toBe("deve ter ao menos 2 itens");
+    v8n.extend({ bar: () => value => value === "bar" });
+    expect(messageOf(v8n().bar(), "a")).toBe("deve passar na regra bar");
+  });
+
+  it("should use fallback locales for missing messages", () => {
+    v8n.registerLocale("es", { rules: { string: "debe ser un texto" } });
+    v8n.registerLocale("es-AR", {
+      rules: { number: "tiene que ser un número" }
+    });
+    v8n.registerLocale("es-UY", {}, { fallback: "es-AR" });
+
+    v8n.setLocale("es-AR");
+    expect(messageOf(v8n().number(), "a")).toBe("tiene que ser un número");
+    expect(messageOf(v8n().string(), 1)).toBe("debe ser un texto");
+    expect(messageOf(v8n().boolean(), 1)).toBe("must be a boolean");
+
+    v8n.setLocale("es-UY");
+    expect(messageOf(v8n().number(), "a")).toBe("tiene que ser un número");
+  });
+
+  it("should prefer messages for the modifiers and rule combined", () => {
+    v8n.registerLocale("en-test", { rules: { "not.null": "is required" } });
+    v8n.setLocale("en-test");
+    expect(messageOf(v8n().not.null(), null)).toBe("is required");
+  });
+
+  it("should not switch to an unknown locale", () => {
+    expect(() => v8n.setLocale("xx")).toThrow();
+    expect(v8n.getLocale()).toBe("en");
+  });
+
+  describe("the 'withMessage' function", () => {
+    it("should replace the message of the previous rule", () => {
+      const validation = v8n()
+        .string()
+        .minLength(8)
+        .withMessage("too short, needs {0} characters");
+
+      expect(messageOf(validation, "abc")).toBe(
+        "too short, needs 8 characters"
+      );
+      expect(messageOf(validation, 1)).toBe("must be a string");
+      expect(validation.chain[1].message).toBe(
+        "too short, needs {0} characters"
+      );
+    });
+
+    it("should accept a message factory", () => {
+      const validation = v8n()
+        .string()
+        .minLength(8)
+        .withMessage(
+          (value, rule) => `${value} is shorter than ${rule.args[0]}`
+        );
+
+      expect(messageOf(validation, "abc")).toBe("abc is shorter than 8");
+    });
+
+    it("should keep the validation immutable", () => {
+      const base = v8n().number();
+      const withMessage = base.withMessage("not a number");
+      const extended = withMessage.positive();
+
+      expect(messageOf(base, "a")).toBe("must be a number");
+      expect(messageOf(withMessage, "a")).toBe("not a number");
+      expect(messageOf(extended, "a")).toBe("not a number");
+      expect(messageOf(extended, -1)).toBe("must be positive");
+    });
+
+    it("should work with modifiers", () => {
+      const validation = v8n()
+        .not.null()
+        .withMessage("is required")
+        .some.positive()
+        .withMessage("needs a positive item");
+
+      expect(messageOf(validation, null)).toBe("is required");
+      expect(messageOf(validation, [-1, -2])).toBe("needs a positive item");
+      expect(debugRules(validation)).toEqual(["not.null()", "some.positive()"]);
+    });
+
+    it("should be used by testAll and testAsync", async () => {
+      const validation = v8n()
+        .string()
+        .withMessage("text please")
+        .maxLength(2)
+        .withMessage("shorter please");
+
+      expect(validation.testAll(100).map(ex => ex.message)).toEqual([
+        "text please",
+        "shorter please"
+      ]);
+
+      await expect(validation.testAsync("abc")).rejects.toMatchObject({
+        message: "shorter please"
+      });
+    });
+
+    it("should be used by nested schema failures", () => {
+      const validation = v8n()
+        .schema({
+          name: v8n()
+            .string()
+            .withMessage("name is required")
+        })
+        .withMessage("invalid user");
+
+      try {
+        validation.check({});
+      } catch (ex) {
+        expect(ex.message).toBe("invalid user");
+        expect(ex.cause[0].message).toBe("name is required");
+      }
+      expect.assertions(2);
+    });
+
+    it("should require a previous rule", () => {
+      expect(() => v8n().withMessage("nothing to describe")).toThrow();
+    });
+  });
+});
+
 describe("fluency", () => {
   test("fluency test 1", () => {
     const validation = v8n()